@@ -0,0 +1,146 @@
+// ----------------------------------------------------------
+// functions/index.js
+//
+// Cloud Functions for the roommate app.
+//
+// createMatchOnLike:
+//   Runs every time a document is added to "likes".
+//   If the other student already liked this student back,
+//   it writes ONE document for the pair:
+//
+//     matches/{pairId} → {
+//        users: [uidA, uidB],   (sorted, so array-contains works for both)
+//        createdAt
+//     }
+//
+//   pairId = smallerUid + "_" + largerUid (same as the chat id).
+//
+//   The client only READS matches; these functions are the only writers,
+//   so "a match was created" is a reliable event to hook into.
+//
+//   If the pair had an archived chat from an earlier match,
+//   it is reopened.
+//
+// removeMatchOnUnlike:
+//   Runs when a like is deleted (e.g. "Undo" in SwipeMatch or
+//   "Unmatch") and removes the match that like was part of.
+//   The pair's chat is archived first:
+//
+//     chats/{pairId} → { ..., archived: true, archivedAt }
+//
+//   so both sides see the conversation has ended.
+//
+// Local testing:
+//   cd functions && npm install
+//   npm run serve   (starts the Firestore + Functions emulators)
+// ----------------------------------------------------------
+
+import { initializeApp } from "firebase-admin/app";
+import { getFirestore, FieldValue } from "firebase-admin/firestore";
+import {
+  onDocumentCreated,
+  onDocumentDeleted,
+} from "firebase-functions/v2/firestore";
+import { logger } from "firebase-functions";
+
+initializeApp();
+const db = getFirestore();
+
+// Stable id for a pair of users (order doesn't matter)
+function pairIdFor(uid1, uid2) {
+  return uid1 < uid2 ? `${uid1}_${uid2}` : `${uid2}_${uid1}`;
+}
+
+// Archive / reopen the chat for a pair (if they ever chatted)
+async function setChatArchived(pairId, archived) {
+  const chatRef = db.collection("chats").doc(pairId);
+  const chat = await chatRef.get();
+  if (!chat.exists) return;
+
+  if (archived) {
+    await chatRef.update({
+      archived: true,
+      archivedAt: FieldValue.serverTimestamp(),
+      typing: FieldValue.delete(),
+    });
+  } else if (chat.get("archived")) {
+    await chatRef.update({
+      archived: FieldValue.delete(),
+      archivedAt: FieldValue.delete(),
+    });
+  }
+}
+
+export const createMatchOnLike = onDocumentCreated(
+  "likes/{likeId}",
+  async (event) => {
+    const like = event.data?.data();
+    const fromUid = like?.fromUid;
+    const toUid = like?.toUid;
+
+    if (!fromUid || !toUid || fromUid === toUid) {
+      logger.warn("Ignoring malformed like", { likeId: event.params.likeId });
+      return;
+    }
+
+    // 1) Did the other student already like this one?
+    //    Likes use the id "{fromUid}_{toUid}", so this is one lookup.
+    //    Older likes had random ids, so fall back to a query for those.
+    const reverseDoc = await db
+      .collection("likes")
+      .doc(`${toUid}_${fromUid}`)
+      .get();
+
+    if (!reverseDoc.exists) {
+      const reverse = await db
+        .collection("likes")
+        .where("fromUid", "==", toUid)
+        .where("toUid", "==", fromUid)
+        .limit(1)
+        .get();
+
+      if (reverse.empty) return;
+    }
+
+    // 2) Create the match once (both likes may trigger at the same time)
+    const pairId = pairIdFor(fromUid, toUid);
+    const matchRef = db.collection("matches").doc(pairId);
+
+    const created = await db.runTransaction(async (tx) => {
+      const existing = await tx.get(matchRef);
+      if (existing.exists) return false;
+
+      tx.create(matchRef, {
+        users: [fromUid, toUid].sort(),
+        createdAt: FieldValue.serverTimestamp(),
+      });
+      return true;
+    });
+
+    if (created) {
+      logger.info("New match", { pairId });
+      await setChatArchived(pairId, false);
+    }
+  }
+);
+
+export const removeMatchOnUnlike = onDocumentDeleted(
+  "likes/{likeId}",
+  async (event) => {
+    const like = event.data?.data();
+    const fromUid = like?.fromUid;
+    const toUid = like?.toUid;
+    if (!fromUid || !toUid) return;
+
+    const pairId = pairIdFor(fromUid, toUid);
+    const matchRef = db.collection("matches").doc(pairId);
+    const match = await matchRef.get();
+    if (!match.exists) return;
+
+    // Archive before deleting the match: after that, the rules
+    // hide the chat from both sides, so they'd miss the update
+    await setChatArchived(pairId, true);
+    await matchRef.delete();
+    logger.info("Match removed after unlike", { pairId });
+  }
+);
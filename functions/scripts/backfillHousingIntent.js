@@ -0,0 +1,44 @@
+// ----------------------------------------------------------
+// backfillHousingIntent.js
+//
+// One-time script: sets users/{uid}.housingIntent for profiles
+// saved before the field existed, so the swipe deck's
+// "housingIntent in [...]" query finds them:
+//   hasHouse true → "offering", otherwise → "seeking"
+// (same fallback as getHousingIntent in src/utils/housingIntent.js)
+//
+// Run against production (needs admin credentials):
+//   GOOGLE_APPLICATION_CREDENTIALS=key.json npm run backfill:intents
+// Run against the emulator:
+//   FIRESTORE_EMULATOR_HOST=127.0.0.1:8080 npm run backfill:intents
+// ----------------------------------------------------------
+
+import { initializeApp } from "firebase-admin/app";
+import { getFirestore } from "firebase-admin/firestore";
+
+initializeApp({ projectId: process.env.GCLOUD_PROJECT });
+const db = getFirestore();
+
+const INTENTS = ["offering", "seeking", "cosearching"];
+
+async function main() {
+  const usersSnap = await db.collection("users").get();
+
+  let updated = 0;
+  for (const userDoc of usersSnap.docs) {
+    const { housingIntent, hasHouse } = userDoc.data();
+    if (INTENTS.includes(housingIntent)) continue;
+
+    await userDoc.ref.update({
+      housingIntent: hasHouse ? "offering" : "seeking",
+    });
+    updated++;
+  }
+
+  console.log(`Done. Set housingIntent on ${updated} profile(s).`);
+}
+
+main().catch((err) => {
+  console.error(err);
+  process.exit(1);
+});
@@ -0,0 +1,56 @@
+// ----------------------------------------------------------
+// backfillMatches.js
+//
+// One-time script: creates matches/{pairId} for mutual likes
+// that were saved before the createMatchOnLike function existed.
+//
+// Run against production (needs admin credentials):
+//   GOOGLE_APPLICATION_CREDENTIALS=key.json npm run backfill:matches
+// Run against the emulator:
+//   FIRESTORE_EMULATOR_HOST=127.0.0.1:8080 npm run backfill:matches
+// ----------------------------------------------------------
+
+import { initializeApp } from "firebase-admin/app";
+import { getFirestore, FieldValue } from "firebase-admin/firestore";
+
+initializeApp({ projectId: process.env.GCLOUD_PROJECT });
+const db = getFirestore();
+
+function pairIdFor(uid1, uid2) {
+  return uid1 < uid2 ? `${uid1}_${uid2}` : `${uid2}_${uid1}`;
+}
+
+async function main() {
+  const likesSnap = await db.collection("likes").get();
+
+  // "from→to" strings for quick lookups
+  const likeKeys = new Set();
+  likesSnap.forEach((d) => {
+    const { fromUid, toUid } = d.data();
+    if (fromUid && toUid) likeKeys.add(`${fromUid}→${toUid}`);
+  });
+
+  let created = 0;
+  for (const key of likeKeys) {
+    const [fromUid, toUid] = key.split("→");
+    if (fromUid > toUid) continue; // handle each pair once
+    if (!likeKeys.has(`${toUid}→${fromUid}`)) continue;
+
+    const matchRef = db.collection("matches").doc(pairIdFor(fromUid, toUid));
+    const existing = await matchRef.get();
+    if (existing.exists) continue;
+
+    await matchRef.set({
+      users: [fromUid, toUid].sort(),
+      createdAt: FieldValue.serverTimestamp(),
+    });
+    created++;
+  }
+
+  console.log(`Done. Created ${created} match document(s).`);
+}
+
+main().catch((err) => {
+  console.error(err);
+  process.exit(1);
+});
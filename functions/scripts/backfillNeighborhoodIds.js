@@ -0,0 +1,72 @@
+// ----------------------------------------------------------
+// backfillNeighborhoodIds.js
+//
+// One-time script: sets users/{uid}.neighborhoodIds for profiles
+// saved before the neighborhood catalog existed, so the swipe
+// deck's "neighborhoodIds array-contains-any [...]" query finds
+// them. Names are matched to src/data/neighborhoods.json after
+// folding ("ODTÜ çevresi" = "odtu cevresi" = "ODTU"), the same
+// way as findNeighborhood in src/utils/neighborhoods.js.
+//
+// Run against production (needs admin credentials):
+//   GOOGLE_APPLICATION_CREDENTIALS=key.json npm run backfill:neighborhoods
+// Run against the emulator:
+//   FIRESTORE_EMULATOR_HOST=127.0.0.1:8080 npm run backfill:neighborhoods
+// ----------------------------------------------------------
+
+import { readFileSync } from "node:fs";
+import { initializeApp } from "firebase-admin/app";
+import { getFirestore } from "firebase-admin/firestore";
+
+initializeApp({ projectId: process.env.GCLOUD_PROJECT });
+const db = getFirestore();
+
+const catalog = JSON.parse(
+  readFileSync(
+    new URL("../../src/data/neighborhoods.json", import.meta.url),
+    "utf8"
+  )
+);
+
+const TURKISH_LETTERS = { ç: "c", ğ: "g", ı: "i", ö: "o", ş: "s", ü: "u" };
+
+function foldText(value) {
+  return String(value ?? "")
+    .toLocaleLowerCase("tr")
+    .replace(/[çğıöşü]/g, (letter) => TURKISH_LETTERS[letter])
+    .normalize("NFD")
+    .replace(/[\u0300-\u036f]/g, "")
+    .replace(/[^a-z0-9]+/g, " ")
+    .trim();
+}
+
+// Folded name / alias → catalog id
+const idByName = new Map();
+catalog.features.forEach(({ properties }) => {
+  [properties.name, ...(properties.aliases || [])].forEach((name) => {
+    idByName.set(foldText(name), properties.id);
+  });
+});
+
+async function main() {
+  const usersSnap = await db.collection("users").get();
+
+  let updated = 0;
+  for (const userDoc of usersSnap.docs) {
+    const { neighborhoods, neighborhoodIds } = userDoc.data();
+    if (Array.isArray(neighborhoodIds)) continue;
+
+    const names = Array.isArray(neighborhoods) ? neighborhoods : [];
+    const ids = names.map((n) => idByName.get(foldText(n))).filter(Boolean);
+
+    await userDoc.ref.update({ neighborhoodIds: Array.from(new Set(ids)) });
+    updated++;
+  }
+
+  console.log(`Done. Set neighborhoodIds on ${updated} profile(s).`);
+}
+
+main().catch((err) => {
+  console.error(err);
+  process.exit(1);
+});
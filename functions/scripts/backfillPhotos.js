@@ -0,0 +1,122 @@
+// ----------------------------------------------------------
+// backfillPhotos.js
+//
+// One-time script: moves base64 photos that are still stored
+// inside users/{uid} (profilePhoto, homePhotos[]) to Storage and
+// replaces them with download URLs, like migrateInlinePhotos in
+// src/utils/photos.js does when the owner signs in. This covers
+// students who never come back, so the deck stops downloading
+// their big profiles.
+//
+// Files go to users/{uid}/photos/{photoId}.{ext}. They are not
+// resized here (no canvas in Node), so the thumbnail URL is the
+// same as the full one.
+//
+// Profiles are read PAGE_SIZE at a time (ordered by document id),
+// so the base64 photos never all sit in memory at once.
+//
+// Run against production (needs admin credentials):
+//   GOOGLE_APPLICATION_CREDENTIALS=key.json \
+//   STORAGE_BUCKET=my-project.appspot.com npm run backfill:photos
+// Run against the emulators:
+//   FIRESTORE_EMULATOR_HOST=127.0.0.1:8080 \
+//   FIREBASE_STORAGE_EMULATOR_HOST=127.0.0.1:9199 \
+//   STORAGE_BUCKET=demo-bucket npm run backfill:photos
+// ----------------------------------------------------------
+
+import { randomUUID } from "node:crypto";
+import { initializeApp } from "firebase-admin/app";
+import { FieldPath, getFirestore } from "firebase-admin/firestore";
+import { getDownloadURL, getStorage } from "firebase-admin/storage";
+
+initializeApp({
+  projectId: process.env.GCLOUD_PROJECT,
+  storageBucket: process.env.STORAGE_BUCKET,
+});
+const db = getFirestore();
+const bucket = getStorage().bucket();
+
+// Profiles per read (each may hold a few MB of base64)
+const PAGE_SIZE = 50;
+
+function isDataUrl(value) {
+  return typeof value === "string" && value.startsWith("data:");
+}
+
+// "data:image/png;base64,AAAA" → upload → download URL
+async function uploadDataUrl(uid, dataUrl) {
+  const [header, base64] = dataUrl.split(",");
+  const contentType = header.slice(5).split(";")[0] || "image/jpeg";
+  const ext = contentType.split("/")[1] || "jpg";
+
+  const file = bucket.file(`users/${uid}/photos/${randomUUID()}.${ext}`);
+  await file.save(Buffer.from(base64, "base64"), { contentType });
+  return getDownloadURL(file);
+}
+
+// Move the photos of one profile. Returns true if it was updated.
+async function migrateProfile(userDoc) {
+  const uid = userDoc.id;
+  const { profilePhoto, homePhotos, homePhotoThumbs } = userDoc.data();
+  const updates = {};
+
+  if (isDataUrl(profilePhoto)) {
+    const url = await uploadDataUrl(uid, profilePhoto);
+    updates.profilePhoto = url;
+    updates.profilePhotoThumb = url;
+  }
+
+  const photos = Array.isArray(homePhotos) ? homePhotos : [];
+  if (photos.some(isDataUrl)) {
+    const oldThumbs = Array.isArray(homePhotoThumbs) ? homePhotoThumbs : [];
+    const urls = [];
+    const thumbs = [];
+
+    for (let i = 0; i < photos.length; i++) {
+      if (isDataUrl(photos[i])) {
+        const url = await uploadDataUrl(uid, photos[i]);
+        urls.push(url);
+        thumbs.push(url);
+      } else {
+        urls.push(photos[i]);
+        thumbs.push(oldThumbs[i] || photos[i]);
+      }
+    }
+
+    updates.homePhotos = urls;
+    updates.homePhotoThumbs = thumbs;
+  }
+
+  if (Object.keys(updates).length === 0) return false;
+
+  await userDoc.ref.update(updates);
+  return true;
+}
+
+async function main() {
+  let updated = 0;
+  let lastDoc = null;
+
+  for (;;) {
+    let page = db
+      .collection("users")
+      .orderBy(FieldPath.documentId())
+      .limit(PAGE_SIZE);
+    if (lastDoc) page = page.startAfter(lastDoc);
+
+    const snap = await page.get();
+    if (snap.empty) break;
+
+    for (const userDoc of snap.docs) {
+      if (await migrateProfile(userDoc)) updated++;
+    }
+    lastDoc = snap.docs[snap.docs.length - 1];
+  }
+
+  console.log(`Done. Moved photos to Storage for ${updated} profile(s).`);
+}
+
+main().catch((err) => {
+  console.error(err);
+  process.exit(1);
+});
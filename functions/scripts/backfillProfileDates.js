@@ -0,0 +1,45 @@
+// ----------------------------------------------------------
+// backfillProfileDates.js
+//
+// One-time script: sets users/{uid}.createdAt / lastActiveAt for
+// profiles saved before the fields existed, so the swipe deck's
+// "Newest profiles" / "Recently active" queries (ordered by those
+// fields) find them:
+//   createdAt    ← the document's create time
+//   lastActiveAt ← the document's last update time
+//
+// Run against production (needs admin credentials):
+//   GOOGLE_APPLICATION_CREDENTIALS=key.json npm run backfill:dates
+// Run against the emulator:
+//   FIRESTORE_EMULATOR_HOST=127.0.0.1:8080 npm run backfill:dates
+// ----------------------------------------------------------
+
+import { initializeApp } from "firebase-admin/app";
+import { getFirestore } from "firebase-admin/firestore";
+
+initializeApp({ projectId: process.env.GCLOUD_PROJECT });
+const db = getFirestore();
+
+async function main() {
+  const usersSnap = await db.collection("users").get();
+
+  let updated = 0;
+  for (const userDoc of usersSnap.docs) {
+    const { createdAt, lastActiveAt } = userDoc.data();
+
+    const changes = {};
+    if (!createdAt) changes.createdAt = userDoc.createTime;
+    if (!lastActiveAt) changes.lastActiveAt = userDoc.updateTime;
+    if (Object.keys(changes).length === 0) continue;
+
+    await userDoc.ref.update(changes);
+    updated++;
+  }
+
+  console.log(`Done. Set profile dates on ${updated} profile(s).`);
+}
+
+main().catch((err) => {
+  console.error(err);
+  process.exit(1);
+});
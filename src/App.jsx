@@ -1,8 +1,11 @@
 // -------------------------------------------
 // App.jsx
 // Main entry:
+// - Wraps app with AuthProvider (waits for the login session)
 // - Wraps app with BrowserRouter
 // - Defines routes for all pages
+// - Protects private pages with <ProtectedRoute>
+// - Shows an offline banner when the connection drops
 // -------------------------------------------
 
 import React from "react";
@@ -13,6 +16,11 @@ import {
   Navigate,
 } from "react-router-dom";
 
+import AuthProvider from "./components/AuthProvider.jsx";
+import ProtectedRoute from "./components/ProtectedRoute.jsx";
+import { OfflineBanner } from "./components/OfflineScreen.jsx";
+import useOnlineStatus from "./hooks/useOnlineStatus";
+
 import AuthPage from "./pages/AuthPage.jsx";
 import CreateProfile from "./pages/CreateProfile.jsx";
 import ProfilePreview from "./pages/ProfilePreview.jsx";
@@ -22,46 +30,119 @@ import SwipeMatch from "./pages/SwipeMatch.jsx";
 import Matches from "./pages/Matches.jsx";
 import Messages from "./pages/Messages.jsx";
 import Chat from "./pages/Chat.jsx";
+import ListingEditor from "./pages/ListingEditor.jsx";
 
 function App() {
+  const online = useOnlineStatus();
+
   return (
-    <Router>
-      {/* Global app background + font */}
-      <div
-        style={{
-          minHeight: "100vh",
-          backgroundColor: "#FFF8E1", // Gin Fizz
-          fontFamily: "Arial, sans-serif",
-        }}
-      >
-        <Routes>
-          {/* Home = Sign In / Sign Up tabs */}
-          <Route path="/" element={<AuthPage />} />
-
-          {/* Email verification info page */}
-          <Route path="/verify" element={<VerifyEmail />} />
-
-          {/* Profile creation */}
-          <Route path="/create-profile" element={<CreateProfile />} />
-
-          {/* Profile preview */}
-          <Route path="/profile" element={<ProfilePreview />} />
-
-          <Route path="/home" element={<Home />} />
-
-          <Route path="/swipe" element={<SwipeMatch />} />
-
-          <Route path="/matches" element={<Matches />} />
-
-          <Route path="/messages" element={<Messages />} />
-          
-          <Route path="/chat/:uid" element={<Chat />} />
-
-          {/* Anything unknown → go home */}
-          <Route path="*" element={<Navigate to="/" replace />} />
-        </Routes>
-      </div>
-    </Router>
+    <AuthProvider>
+      <Router>
+        {/* Global app background + font */}
+        <div
+          style={{
+            minHeight: "100vh",
+            backgroundColor: "#FFF8E1", // Gin Fizz
+            fontFamily: "Arial, sans-serif",
+          }}
+        >
+          {!online && <OfflineBanner />}
+
+          <Routes>
+            {/* Home = Sign In / Sign Up tabs */}
+            <Route path="/" element={<AuthPage />} />
+
+            {/* Email verification info page (signed in, not verified yet) */}
+            <Route
+              path="/verify"
+              element={
+                <ProtectedRoute requireVerified={false} requireProfile={false}>
+                  <VerifyEmail />
+                </ProtectedRoute>
+              }
+            />
+
+            {/* Profile creation (verified, profile not needed yet) */}
+            <Route
+              path="/create-profile"
+              element={
+                <ProtectedRoute requireProfile={false}>
+                  <CreateProfile />
+                </ProtectedRoute>
+              }
+            />
+
+            {/* Profile preview */}
+            <Route
+              path="/profile"
+              element={
+                <ProtectedRoute>
+                  <ProfilePreview />
+                </ProtectedRoute>
+              }
+            />
+
+            <Route
+              path="/home"
+              element={
+                <ProtectedRoute>
+                  <Home />
+                </ProtectedRoute>
+              }
+            />
+
+            {/* My room listing (students with a place) */}
+            <Route
+              path="/listing"
+              element={
+                <ProtectedRoute>
+                  <ListingEditor />
+                </ProtectedRoute>
+              }
+            />
+
+            <Route
+              path="/swipe"
+              element={
+                <ProtectedRoute>
+                  <SwipeMatch />
+                </ProtectedRoute>
+              }
+            />
+
+            <Route
+              path="/matches"
+              element={
+                <ProtectedRoute>
+                  <Matches />
+                </ProtectedRoute>
+              }
+            />
+
+            <Route
+              path="/messages"
+              element={
+                <ProtectedRoute>
+                  <Messages />
+                </ProtectedRoute>
+              }
+            />
+
+            <Route
+              path="/chat/:uid"
+              element={
+                <ProtectedRoute>
+                  <Chat />
+                </ProtectedRoute>
+              }
+            />
+
+            {/* Anything unknown → go home */}
+            <Route path="*" element={<Navigate to="/" replace />} />
+          </Routes>
+        </div>
+      </Router>
+    </AuthProvider>
   );
 }
 
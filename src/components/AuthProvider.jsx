@@ -0,0 +1,150 @@
+// ----------------------------------------------------------
+// AuthProvider.jsx
+//
+// Waits for Firebase to restore the login session and keeps
+// the signed-in user's profile (users/{uid}) in memory.
+//
+// Why: on a hard refresh or a deep link (e.g. /chat/:uid)
+// auth.currentUser is still null for a moment, so pages that
+// checked it directly kicked people back to the sign-in page.
+//
+// Provides (see context/AuthContext.js):
+//   - user           → Firebase user or null
+//   - emailVerified  → true once the email link was clicked
+//   - profile        → users/{uid} data or null (no profile yet)
+//   - loading        → true until auth + profile are known
+//   - refreshUser()  → reloads the user (after verifying email)
+//
+// Also moves old base64 photos on the profile to Storage
+// the first time their owner signs in (see utils/photos.js),
+// and stamps lastActiveAt for "recently active" (utils/activity.js).
+// While someone is signed in, new chat messages are marked
+// "delivered" on every page, not only on Messages (utils/chats.js).
+// ----------------------------------------------------------
+
+import React, { useEffect, useRef, useState } from "react";
+import { onAuthStateChanged } from "firebase/auth";
+import { doc, onSnapshot } from "firebase/firestore";
+import { auth, db } from "../firebase";
+import { AuthContext } from "../context/AuthContext";
+import { migrateInlinePhotos, needsPhotoMigration } from "../utils/photos";
+import { markActive, needsActivityStamp } from "../utils/activity";
+import { watchDeliveries } from "../utils/chats";
+
+function AuthProvider({ children }) {
+  // undefined = Firebase hasn't told us yet, null = signed out
+  const [user, setUser] = useState(undefined);
+  const [emailVerified, setEmailVerified] = useState(false);
+
+  // Profile snapshot, tagged with the uid it belongs to
+  const [profileState, setProfileState] = useState({ uid: null, data: null });
+
+  // 1) Listen for sign in / sign out (also fires once on startup)
+  useEffect(() => {
+    const unsubscribe = onAuthStateChanged(auth, (firebaseUser) => {
+      setUser(firebaseUser);
+      setEmailVerified(Boolean(firebaseUser?.emailVerified));
+    });
+    return unsubscribe;
+  }, []);
+
+  // 2) Keep the signed-in user's profile up to date
+  useEffect(() => {
+    if (!user) return undefined;
+
+    const uid = user.uid;
+    // Profile data last put in state (as JSON), to skip repeats
+    let lastJson;
+
+    // includeMetadataChanges is only here so we hear when the server
+    // confirms a "missing" profile (see below). Snapshots where just
+    // snap.metadata changed (fromCache / pending writes) carry the same
+    // data, so they are skipped instead of re-rendering every page.
+    const unsubscribe = onSnapshot(
+      doc(db, "users", uid),
+      { includeMetadataChanges: true },
+      (snap) => {
+        // Offline with an empty cache → "missing" doesn't mean "no profile".
+        // Wait for the server instead of sending them to /create-profile.
+        if (!snap.exists() && snap.metadata.fromCache) return;
+
+        const data = snap.exists() ? snap.data() : null;
+        const json = JSON.stringify(data);
+        if (json === lastJson) return;
+        lastJson = json;
+
+        setProfileState({ uid, data });
+      },
+      (err) => {
+        console.error("Error listening to profile:", err);
+        setProfileState({ uid, data: null });
+      }
+    );
+    return unsubscribe;
+  }, [user]);
+
+  // 3) One-time photo migration (only the owner may write their profile)
+  const migratedUidRef = useRef(null);
+  const profileData =
+    user && profileState.uid === user.uid ? profileState.data : null;
+
+  useEffect(() => {
+    if (!user || !needsPhotoMigration(profileData)) return;
+    if (migratedUidRef.current === user.uid) return; // already tried
+    migratedUidRef.current = user.uid;
+
+    migrateInlinePhotos(user.uid, profileData).catch((err) => {
+      console.error("Error moving photos to Storage:", err);
+    });
+  }, [user, profileData]);
+
+  // 4) "Active now" stamp, once per session (and at most hourly)
+  const activeUidRef = useRef(null);
+
+  useEffect(() => {
+    if (!user || !needsActivityStamp(profileData)) return;
+    if (activeUidRef.current === user.uid) return; // already stamped
+    activeUidRef.current = user.uid;
+
+    markActive(user.uid).catch((err) => {
+      console.error("Error saving last active time:", err);
+    });
+  }, [user, profileData]);
+
+  // 5) Delivered ticks for the other person, on any page.
+  //    No profile yet → no matches, so no chats to watch.
+  const hasProfile = Boolean(profileData);
+
+  useEffect(() => {
+    if (!user || !hasProfile) return undefined;
+    return watchDeliveries(user.uid);
+  }, [user, hasProfile]);
+
+  // Reload the user from Firebase (emailVerified does not update by itself)
+  const refreshUser = async () => {
+    const current = auth.currentUser;
+    if (!current) return null;
+
+    await current.reload();
+    if (current.emailVerified) {
+      // Get a fresh ID token so the "email_verified" claim is up to date
+      await current.getIdToken(true);
+    }
+    setEmailVerified(current.emailVerified);
+    return current;
+  };
+
+  const profileLoaded = Boolean(user) && profileState.uid === user.uid;
+
+  const value = {
+    user: user ?? null,
+    emailVerified,
+    profile: profileData,
+    loading: user === undefined || (Boolean(user) && !profileLoaded),
+    refreshUser,
+  };
+
+  return <AuthContext.Provider value={value}>{children}</AuthContext.Provider>;
+}
+
+export default AuthProvider;
@@ -0,0 +1,427 @@
+// ----------------------------------------------------------
+// DeckFilterSheet.jsx
+//
+// Bottom sheet with the swipe deck's filters + sort mode
+// (utils/deckFilters.js):
+//   - sort: best match / newest profiles / recently active
+//   - age range, gender, has a place
+//   - neighborhoods (from my profile) and preference tags
+//   - minimum match score
+//   - room filters (students looking for a room only)
+//
+// Edits a draft; "Show results" calls onApply(filters), which
+// saves them and reloads the deck. Esc / backdrop closes it.
+// ----------------------------------------------------------
+
+import React, { useEffect, useState } from "react";
+import {
+  DEFAULT_DECK_FILTERS,
+  GENDER_OPTIONS,
+  HAS_PLACE_OPTIONS,
+  SORT_MODES,
+  cleanDeckFilters,
+} from "../utils/deckFilters";
+import { LEASE_OPTIONS } from "../utils/listings";
+import { toNumberOrNull } from "../utils/numbers";
+import { PRESET_PREFS } from "../utils/tags";
+
+// Helper: add or remove a value from a list
+function toggleIn(list, value) {
+  return list.includes(value)
+    ? list.filter((v) => v !== value)
+    : [...list, value];
+}
+
+function DeckFilterSheet({
+  filters,
+  myProfile,
+  showListingFilters,
+  onApply,
+  onClose,
+}) {
+  const [draft, setDraft] = useState(filters);
+
+  // Esc closes the sheet
+  useEffect(() => {
+    const handleKeyDown = (e) => {
+      if (e.key === "Escape") onClose();
+    };
+    window.addEventListener("keydown", handleKeyDown);
+    return () => window.removeEventListener("keydown", handleKeyDown);
+  }, [onClose]);
+
+  const setField = (key, value) => {
+    setDraft((prev) => ({ ...prev, [key]: value }));
+  };
+
+  const setListingField = (key, value) => {
+    setDraft((prev) => ({
+      ...prev,
+      listing: { ...prev.listing, [key]: value },
+    }));
+  };
+
+  // My areas + anything already selected
+  const neighborhoodOptions = Array.from(
+    new Set([...(myProfile?.neighborhoods || []), ...draft.neighborhoods])
+  );
+  const preferenceOptions = Array.from(
+    new Set([
+      ...PRESET_PREFS,
+      ...(myProfile?.roommatePreferences || []),
+      ...draft.preferences,
+    ])
+  );
+
+  return (
+    <div
+      role="dialog"
+      aria-modal="true"
+      aria-label="Filters"
+      onClick={onClose}
+      style={{
+        position: "fixed",
+        inset: 0,
+        zIndex: 1000,
+        backgroundColor: "rgba(0,0,0,0.45)",
+        display: "flex",
+        justifyContent: "center",
+        alignItems: "flex-end",
+        fontFamily: "Arial, sans-serif",
+      }}
+    >
+      <div
+        onClick={(e) => e.stopPropagation()}
+        style={{
+          width: "100%",
+          maxWidth: "520px",
+          maxHeight: "85vh",
+          overflowY: "auto",
+          backgroundColor: "#FFFFFF",
+          borderRadius: "20px 20px 0 0",
+          padding: "20px",
+          boxShadow: "0 -6px 18px rgba(0,0,0,0.15)",
+          display: "flex",
+          flexDirection: "column",
+          gap: "14px",
+          textAlign: "left",
+          boxSizing: "border-box",
+          cursor: "default",
+        }}
+      >
+        <h2 style={{ margin: 0, fontSize: "18px", color: "#333333" }}>
+          Filters & sorting
+        </h2>
+
+        {/* Sort mode */}
+        <Section title="Sort by">
+          <ChipRow>
+            {SORT_MODES.map((mode) => (
+              <Chip
+                key={mode.value}
+                label={mode.label}
+                selected={draft.sort === mode.value}
+                onClick={() => setField("sort", mode.value)}
+              />
+            ))}
+          </ChipRow>
+        </Section>
+
+        {/* Age range */}
+        <Section title="Age">
+          <div style={{ display: "flex", gap: "8px", alignItems: "center" }}>
+            <input
+              type="number"
+              min="16"
+              max="99"
+              value={draft.ageMin ?? ""}
+              onChange={(e) =>
+                setField("ageMin", toNumberOrNull(e.target.value))
+              }
+              placeholder="Min"
+              aria-label="Minimum age"
+              style={inputStyle}
+            />
+            <span style={{ color: "#777" }}>–</span>
+            <input
+              type="number"
+              min="16"
+              max="99"
+              value={draft.ageMax ?? ""}
+              onChange={(e) =>
+                setField("ageMax", toNumberOrNull(e.target.value))
+              }
+              placeholder="Max"
+              aria-label="Maximum age"
+              style={inputStyle}
+            />
+          </div>
+        </Section>
+
+        {/* Gender */}
+        <Section title="Gender">
+          <ChipRow>
+            {GENDER_OPTIONS.map((gender) => (
+              <Chip
+                key={gender}
+                label={gender}
+                selected={draft.genders.includes(gender)}
+                onClick={() =>
+                  setField("genders", toggleIn(draft.genders, gender))
+                }
+              />
+            ))}
+          </ChipRow>
+        </Section>
+
+        {/* Has a place */}
+        <Section title="Place">
+          <ChipRow>
+            {HAS_PLACE_OPTIONS.map((option) => (
+              <Chip
+                key={option.value}
+                label={option.label}
+                selected={draft.hasPlace === option.value}
+                onClick={() => setField("hasPlace", option.value)}
+              />
+            ))}
+          </ChipRow>
+        </Section>
+
+        {/* Neighborhoods */}
+        {neighborhoodOptions.length > 0 && (
+          <Section title="Only these neighborhoods">
+            <ChipRow>
+              {neighborhoodOptions.map((n) => (
+                <Chip
+                  key={n}
+                  label={n}
+                  selected={draft.neighborhoods.includes(n)}
+                  onClick={() =>
+                    setField("neighborhoods", toggleIn(draft.neighborhoods, n))
+                  }
+                />
+              ))}
+            </ChipRow>
+          </Section>
+        )}
+
+        {/* Preference tags */}
+        <Section title="Must have these tags">
+          <ChipRow>
+            {preferenceOptions.map((p) => (
+              <Chip
+                key={p}
+                label={p}
+                selected={draft.preferences.includes(p)}
+                onClick={() =>
+                  setField("preferences", toggleIn(draft.preferences, p))
+                }
+              />
+            ))}
+          </ChipRow>
+        </Section>
+
+        {/* Minimum match score */}
+        <Section title={`Minimum match score: ${draft.minScore}%`}>
+          <input
+            type="range"
+            min="0"
+            max="90"
+            step="10"
+            value={draft.minScore}
+            onChange={(e) => setField("minScore", Number(e.target.value))}
+            aria-label="Minimum match score"
+            style={{ width: "100%" }}
+          />
+        </Section>
+
+        {/* Room filters (looking for a room) */}
+        {showListingFilters && (
+          <Section title="The room">
+            <div
+              style={{
+                display: "flex",
+                flexDirection: "column",
+                gap: "8px",
+                fontSize: "13px",
+              }}
+            >
+              <label>
+                Max rent (₺ / month)
+                <input
+                  type="number"
+                  min="0"
+                  step="500"
+                  value={draft.listing.maxRent ?? ""}
+                  onChange={(e) =>
+                    setListingField("maxRent", toNumberOrNull(e.target.value))
+                  }
+                  placeholder="Any"
+                  style={{ ...inputStyle, display: "block", marginTop: "4px" }}
+                />
+              </label>
+
+              <label>
+                Free by
+                <input
+                  type="date"
+                  value={draft.listing.availableBy}
+                  onChange={(e) =>
+                    setListingField("availableBy", e.target.value)
+                  }
+                  style={{ ...inputStyle, display: "block", marginTop: "4px" }}
+                />
+              </label>
+
+              <label>
+                Minimum stay at most
+                <select
+                  value={draft.listing.maxLeaseMonths ?? ""}
+                  onChange={(e) =>
+                    setListingField(
+                      "maxLeaseMonths",
+                      toNumberOrNull(e.target.value)
+                    )
+                  }
+                  style={{ ...inputStyle, display: "block", marginTop: "4px" }}
+                >
+                  <option value="">Any</option>
+                  {LEASE_OPTIONS.filter((o) => o.value).map((o) => (
+                    <option key={o.value} value={o.value}>
+                      {o.value} months
+                    </option>
+                  ))}
+                </select>
+              </label>
+
+              <label style={checkboxLabelStyle}>
+                <input
+                  type="checkbox"
+                  checked={draft.listing.billsIncluded}
+                  onChange={(e) =>
+                    setListingField("billsIncluded", e.target.checked)
+                  }
+                />
+                Bills included
+              </label>
+
+              <label style={checkboxLabelStyle}>
+                <input
+                  type="checkbox"
+                  checked={draft.listing.furnishedOnly}
+                  onChange={(e) =>
+                    setListingField("furnishedOnly", e.target.checked)
+                  }
+                />
+                Furnished (fully or partly)
+              </label>
+            </div>
+          </Section>
+        )}
+
+        {/* Actions */}
+        <div style={{ display: "flex", gap: "8px" }}>
+          <button
+            type="button"
+            onClick={() => setDraft(DEFAULT_DECK_FILTERS)}
+            style={{
+              flex: 1,
+              padding: "10px",
+              borderRadius: "999px",
+              border: "1px solid #D7CCC8",
+              backgroundColor: "#FFFFFF",
+              fontWeight: "bold",
+              cursor: "pointer",
+            }}
+          >
+            Reset
+          </button>
+          <button
+            type="button"
+            onClick={() => onApply(cleanDeckFilters(draft))}
+            style={{
+              flex: 1,
+              padding: "10px",
+              borderRadius: "999px",
+              border: "none",
+              backgroundColor: "#C8D5B9",
+              fontWeight: "bold",
+              cursor: "pointer",
+            }}
+          >
+            Show results
+          </button>
+        </div>
+      </div>
+    </div>
+  );
+}
+
+// Title + content block
+function Section({ title, children }) {
+  return (
+    <div>
+      <div
+        style={{
+          fontSize: "13px",
+          fontWeight: "bold",
+          color: "#333333",
+          marginBottom: "6px",
+        }}
+      >
+        {title}
+      </div>
+      {children}
+    </div>
+  );
+}
+
+function ChipRow({ children }) {
+  return (
+    <div style={{ display: "flex", flexWrap: "wrap", gap: "6px" }}>
+      {children}
+    </div>
+  );
+}
+
+// Toggle chip (selected = filled)
+function Chip({ label, selected, onClick }) {
+  return (
+    <button
+      type="button"
+      onClick={onClick}
+      aria-pressed={selected}
+      style={{
+        padding: "4px 10px",
+        borderRadius: "999px",
+        border: "1px solid #C8D5B9",
+        backgroundColor: selected ? "#C8D5B9" : "#FFFFFF",
+        fontSize: "12px",
+        color: "#333333",
+        cursor: "pointer",
+      }}
+    >
+      {label}
+    </button>
+  );
+}
+
+const inputStyle = {
+  width: "100%",
+  padding: "8px",
+  borderRadius: "10px",
+  border: "1px solid #D7CCC8",
+  fontSize: "13px",
+  backgroundColor: "#FFFFFF",
+  color: "#333333",
+  boxSizing: "border-box",
+};
+
+const checkboxLabelStyle = {
+  display: "flex",
+  alignItems: "center",
+  gap: "8px",
+};
+
+export default DeckFilterSheet;
@@ -0,0 +1,57 @@
+// ----------------------------------------------------------
+// ListingDetails.jsx
+//
+// Compact box with a student's room listing (utils/listings.js):
+// rent, area, rooms, availability, furnishing, minimum stay.
+// Shown under the home photo on the swipe ProfileCard, on
+// Matches (MatchCard) and on the profile preview.
+// Renders nothing when there's no listing.
+// ----------------------------------------------------------
+
+import React from "react";
+import { listingSummary } from "../utils/listings";
+
+function ListingDetails({ listing, title = "The place" }) {
+  const lines = listingSummary(listing);
+  if (lines.length === 0) return null;
+
+  return (
+    <div
+      style={{
+        marginBottom: "10px",
+        padding: "8px 10px",
+        borderRadius: "12px",
+        backgroundColor: "#FFFFFF",
+        border: "1px solid #E8E0D0",
+      }}
+    >
+      <div
+        style={{
+          fontSize: "12px",
+          fontWeight: "bold",
+          color: "#333333",
+          marginBottom: "4px",
+        }}
+      >
+        🏠 {title}
+      </div>
+      <div
+        style={{
+          display: "flex",
+          flexWrap: "wrap",
+          gap: "4px 12px",
+          fontSize: "12px",
+          color: "#555555",
+        }}
+      >
+        {lines.map((line) => (
+          <span key={line.key}>
+            {line.icon} {line.text}
+          </span>
+        ))}
+      </div>
+    </div>
+  );
+}
+
+export default ListingDetails;
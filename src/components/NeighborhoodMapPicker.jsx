@@ -0,0 +1,124 @@
+// ----------------------------------------------------------
+// NeighborhoodMapPicker.jsx
+//
+// Small offline map of the neighborhood catalog
+// (utils/neighborhoods.js): one dot per area, drawn as SVG from
+// the bundled coordinates (no map tiles, works offline).
+// Tapping a dot (or Enter / Space on it) calls onToggle(name)
+// with the catalog name; selected areas are filled.
+// ----------------------------------------------------------
+
+import React from "react";
+import { NEIGHBORHOODS, findNeighborhood } from "../utils/neighborhoods";
+
+const MAP_WIDTH = 400;
+const MAP_PADDING = 24;
+
+// Simple flat projection: good enough for one city.
+// Longitude degrees are shorter than latitude degrees away from the
+// equator, so x is scaled by cos(latitude) to keep distances right.
+const lats = NEIGHBORHOODS.map((n) => n.lat);
+const lngs = NEIGHBORHOODS.map((n) => n.lng);
+const minLng = Math.min(...lngs);
+const maxLat = Math.max(...lats);
+const lngScale = Math.cos(
+  (((Math.min(...lats) + maxLat) / 2) * Math.PI) / 180
+);
+const spanX = (Math.max(...lngs) - minLng) * lngScale;
+const spanY = maxLat - Math.min(...lats);
+const unitsPerDegree = (MAP_WIDTH - MAP_PADDING * 2) / spanX;
+const MAP_HEIGHT = Math.round(spanY * unitsPerDegree + MAP_PADDING * 2);
+
+// 1 km in map units (1° of latitude ≈ 111 km)
+const UNITS_PER_KM = unitsPerDegree / 111;
+
+function project(n) {
+  return {
+    x: MAP_PADDING + (n.lng - minLng) * lngScale * unitsPerDegree,
+    y: MAP_PADDING + (maxLat - n.lat) * unitsPerDegree,
+  };
+}
+
+function NeighborhoodMapPicker({ selected, onToggle }) {
+  const selectedIds = new Set(
+    (selected || []).map((name) => findNeighborhood(name)?.id).filter(Boolean)
+  );
+
+  return (
+    <svg
+      viewBox={`0 0 ${MAP_WIDTH} ${MAP_HEIGHT}`}
+      role="group"
+      aria-label="Neighborhood map"
+      style={{
+        width: "100%",
+        marginTop: "6px",
+        borderRadius: "12px",
+        backgroundColor: "#F7F4EE",
+        border: "1px solid #D7CCC8",
+      }}
+    >
+      {NEIGHBORHOODS.map((n) => {
+        const { x, y } = project(n);
+        const isSelected = selectedIds.has(n.id);
+        const toggle = () => onToggle(n.name);
+
+        return (
+          <g
+            key={n.id}
+            role="button"
+            tabIndex={0}
+            aria-pressed={isSelected}
+            aria-label={n.name}
+            onClick={toggle}
+            onKeyDown={(e) => {
+              if (e.key === "Enter" || e.key === " ") {
+                e.preventDefault();
+                toggle();
+              }
+            }}
+            style={{ cursor: "pointer" }}
+          >
+            <circle
+              cx={x}
+              cy={y}
+              r={isSelected ? 7 : 5}
+              fill={isSelected ? "#8FA97A" : "#FFFFFF"}
+              stroke="#8FA97A"
+              strokeWidth="2"
+            />
+            <text
+              x={x}
+              y={y - 10}
+              textAnchor="middle"
+              fontSize="10"
+              fontWeight={isSelected ? "bold" : "normal"}
+              fill="#333333"
+            >
+              {n.name}
+            </text>
+          </g>
+        );
+      })}
+
+      {/* Scale bar: 1 km */}
+      <line
+        x1={MAP_PADDING}
+        y1={MAP_HEIGHT - 10}
+        x2={MAP_PADDING + UNITS_PER_KM}
+        y2={MAP_HEIGHT - 10}
+        stroke="#777777"
+        strokeWidth="2"
+      />
+      <text
+        x={MAP_PADDING + UNITS_PER_KM + 4}
+        y={MAP_HEIGHT - 7}
+        fontSize="9"
+        fill="#777777"
+      >
+        1 km
+      </text>
+    </svg>
+  );
+}
+
+export default NeighborhoodMapPicker;
@@ -0,0 +1,98 @@
+// ----------------------------------------------------------
+// OfflineScreen.jsx
+//
+// Shown instead of a blank page when the app can't start
+// because there is no internet connection.
+// The app shell itself comes from the service worker cache,
+// but profiles, matches and chats need Firebase.
+// ----------------------------------------------------------
+
+import React from "react";
+
+function OfflineScreen() {
+  return (
+    <div
+      style={{
+        minHeight: "100vh",
+        backgroundColor: "#FFF8E1", // Gin Fizz
+        display: "flex",
+        justifyContent: "center",
+        alignItems: "center",
+        padding: "20px",
+        fontFamily: "Arial, sans-serif",
+      }}
+    >
+      <div
+        style={{
+          width: "100%",
+          maxWidth: "420px",
+          backgroundColor: "#FFFFFF",
+          borderRadius: "20px",
+          boxShadow: "0 6px 18px rgba(0,0,0,0.10)",
+          padding: "24px 22px",
+          textAlign: "center",
+        }}
+      >
+        <div style={{ fontSize: "36px", marginBottom: "8px" }}>📡</div>
+        <h2
+          style={{
+            margin: "0 0 10px",
+            fontSize: "20px",
+            color: "#333333",
+          }}
+        >
+          You’re offline
+        </h2>
+        <p
+          style={{
+            margin: "0 0 16px",
+            fontSize: "14px",
+            color: "#555555",
+          }}
+        >
+          We need an internet connection to load profiles, matches and
+          messages. Check your connection and try again.
+        </p>
+
+        <button
+          type="button"
+          onClick={() => window.location.reload()}
+          style={{
+            padding: "10px",
+            width: "100%",
+            backgroundColor: "#C8D5B9", // Coriander
+            border: "none",
+            borderRadius: "999px",
+            fontWeight: "bold",
+            cursor: "pointer",
+          }}
+        >
+          Try again
+        </button>
+      </div>
+    </div>
+  );
+}
+
+// Thin bar shown on top of a page that was already open when the
+// connection dropped (so nobody loses what they were typing).
+export function OfflineBanner() {
+  return (
+    <div
+      style={{
+        position: "sticky",
+        top: 0,
+        zIndex: 10,
+        padding: "6px 10px",
+        backgroundColor: "#FFD54F", // Mustard
+        fontSize: "13px",
+        textAlign: "center",
+        fontFamily: "Arial, sans-serif",
+      }}
+    >
+      You’re offline. Changes will be sent when you reconnect.
+    </div>
+  );
+}
+
+export default OfflineScreen;
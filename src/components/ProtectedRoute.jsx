@@ -0,0 +1,68 @@
+// ----------------------------------------------------------
+// ProtectedRoute.jsx
+//
+// Wraps a page and only renders it when the visitor is allowed:
+//   - signed in            → otherwise go to "/"
+//   - email verified       → otherwise go to "/verify"
+//   - has a profile        → otherwise go to "/create-profile"
+//
+// Usage in App.jsx:
+//   <ProtectedRoute><Home /></ProtectedRoute>
+//   <ProtectedRoute requireProfile={false}><CreateProfile /></ProtectedRoute>
+// ----------------------------------------------------------
+
+import React from "react";
+import { Navigate, useLocation } from "react-router-dom";
+import { useAuth } from "../context/AuthContext";
+import useOnlineStatus from "../hooks/useOnlineStatus";
+import OfflineScreen from "./OfflineScreen.jsx";
+
+function ProtectedRoute({
+  children,
+  requireVerified = true,
+  requireProfile = true,
+}) {
+  const { user, emailVerified, profile, loading } = useAuth();
+  const location = useLocation();
+  const online = useOnlineStatus();
+
+  // No connection and nothing loaded yet → explain instead of spinning
+  if (loading && !online) {
+    return <OfflineScreen />;
+  }
+
+  // Firebase is still restoring the session → wait, don't redirect yet
+  if (loading) {
+    return (
+      <div
+        style={{
+          minHeight: "100vh",
+          backgroundColor: "#FFF8E1",
+          display: "flex",
+          justifyContent: "center",
+          alignItems: "center",
+          fontFamily: "Arial, sans-serif",
+        }}
+      >
+        Loading…
+      </div>
+    );
+  }
+
+  if (!user) {
+    // Remember where they wanted to go, so sign in can bring them back
+    return <Navigate to="/" replace state={{ from: location }} />;
+  }
+
+  if (requireVerified && !emailVerified) {
+    return <Navigate to="/verify" replace />;
+  }
+
+  if (requireProfile && !profile) {
+    return <Navigate to="/create-profile" replace />;
+  }
+
+  return children;
+}
+
+export default ProtectedRoute;
@@ -0,0 +1,241 @@
+// ----------------------------------------------------------
+// ReportDialog.jsx
+//
+// Modal for reporting another student (utils/safety.js):
+//   - pick a category + optional details
+//   - optionally block them at the same time (hidden when
+//     alreadyBlocked: I blocked them before)
+//   - from Chat, the recent messages are attached to the report
+//
+// Used on the swipe ProfileCard, Matches (MatchCard) and Chat.
+// onDone({ blocked }) is called after the report was saved.
+// ----------------------------------------------------------
+
+import React, { useEffect, useState } from "react";
+import {
+  MAX_REPORT_DETAILS,
+  REPORT_CATEGORIES,
+  blockUser,
+  reportUser,
+} from "../utils/safety";
+
+function ReportDialog({
+  reporterUid,
+  reportedUid,
+  reportedName,
+  source,
+  chatId = null,
+  messages = [],
+  alreadyBlocked = false,
+  onClose,
+  onDone,
+}) {
+  const [category, setCategory] = useState("");
+  const [details, setDetails] = useState("");
+  const [alsoBlock, setAlsoBlock] = useState(!alreadyBlocked);
+  // Saved already (only the block failed) → a retry only blocks,
+  // so the same report isn't stored twice
+  const [reportSaved, setReportSaved] = useState(false);
+  const [sending, setSending] = useState(false);
+  const [errorMsg, setErrorMsg] = useState("");
+
+  // Esc closes the dialog
+  useEffect(() => {
+    const handleKeyDown = (e) => {
+      if (e.key === "Escape") onClose();
+    };
+    window.addEventListener("keydown", handleKeyDown);
+    return () => window.removeEventListener("keydown", handleKeyDown);
+  }, [onClose]);
+
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+    if (!category) {
+      setErrorMsg("Please choose what happened.");
+      return;
+    }
+
+    setSending(true);
+    setErrorMsg("");
+    let saved = reportSaved;
+    try {
+      if (!saved) {
+        await reportUser({
+          reporterUid,
+          reportedUid,
+          category,
+          details,
+          source,
+          chatId,
+          messages,
+        });
+        saved = true;
+        setReportSaved(true);
+      }
+      if (alsoBlock) await blockUser(reporterUid, reportedUid);
+      onDone?.({ blocked: alsoBlock });
+    } catch (err) {
+      console.error("Error sending report:", err);
+      setErrorMsg(
+        saved
+          ? "Your report was sent, but blocking failed. Please try again."
+          : "Could not send your report. Please try again."
+      );
+      setSending(false);
+    }
+  };
+
+  return (
+    <div
+      role="dialog"
+      aria-modal="true"
+      aria-label="Report"
+      onClick={onClose}
+      style={{
+        position: "fixed",
+        inset: 0,
+        zIndex: 1000,
+        backgroundColor: "rgba(0,0,0,0.45)",
+        display: "flex",
+        justifyContent: "center",
+        alignItems: "center",
+        padding: "16px",
+        fontFamily: "Arial, sans-serif",
+      }}
+    >
+      <form
+        onSubmit={handleSubmit}
+        onClick={(e) => e.stopPropagation()}
+        style={{
+          width: "100%",
+          maxWidth: "420px",
+          backgroundColor: "#FFFFFF",
+          borderRadius: "20px",
+          padding: "20px",
+          boxShadow: "0 6px 18px rgba(0,0,0,0.15)",
+          display: "flex",
+          flexDirection: "column",
+          gap: "12px",
+          textAlign: "left",
+          cursor: "default",
+        }}
+      >
+        <h2 style={{ margin: 0, fontSize: "18px", color: "#333333" }}>
+          Report {reportedName || "this student"}
+        </h2>
+        <p style={{ margin: 0, fontSize: "13px", color: "#555555" }}>
+          Reports are private. {reportedName || "They"} won’t know who reported
+          them.
+          {chatId ? " Your recent messages together are included." : ""}
+        </p>
+
+        {errorMsg && (
+          <div
+            style={{
+              padding: "8px 10px",
+              borderRadius: "8px",
+              backgroundColor: "#FFD54F",
+              fontSize: "13px",
+            }}
+          >
+            {errorMsg}
+          </div>
+        )}
+
+        <label style={{ fontSize: "13px" }}>
+          What happened?
+          <select
+            value={category}
+            onChange={(e) => setCategory(e.target.value)}
+            style={inputStyle}
+          >
+            <option value="">Choose a reason…</option>
+            {REPORT_CATEGORIES.map((c) => (
+              <option key={c.value} value={c.value}>
+                {c.label}
+              </option>
+            ))}
+          </select>
+        </label>
+
+        <label style={{ fontSize: "13px" }}>
+          Details (optional)
+          <textarea
+            value={details}
+            onChange={(e) => setDetails(e.target.value)}
+            maxLength={MAX_REPORT_DETAILS}
+            rows={4}
+            placeholder="Tell us what happened."
+            style={{ ...inputStyle, resize: "vertical" }}
+          />
+        </label>
+
+        {!alreadyBlocked && (
+          <label
+            style={{
+              display: "flex",
+              alignItems: "center",
+              gap: "8px",
+              fontSize: "13px",
+            }}
+          >
+            <input
+              type="checkbox"
+              checked={alsoBlock}
+              onChange={(e) => setAlsoBlock(e.target.checked)}
+            />
+            Also block {reportedName || "them"}
+          </label>
+        )}
+
+        <div style={{ display: "flex", gap: "8px" }}>
+          <button
+            type="button"
+            onClick={onClose}
+            style={{
+              flex: 1,
+              padding: "10px",
+              borderRadius: "999px",
+              border: "1px solid #D7CCC8",
+              backgroundColor: "#FFFFFF",
+              fontWeight: "bold",
+              cursor: "pointer",
+            }}
+          >
+            Cancel
+          </button>
+          <button
+            type="submit"
+            disabled={sending}
+            style={{
+              flex: 1,
+              padding: "10px",
+              borderRadius: "999px",
+              border: "none",
+              backgroundColor: "#C0554A",
+              color: "#FFFFFF",
+              fontWeight: "bold",
+              cursor: "pointer",
+            }}
+          >
+            {sending ? "Sending…" : "Send report"}
+          </button>
+        </div>
+      </form>
+    </div>
+  );
+}
+
+const inputStyle = {
+  width: "100%",
+  marginTop: "4px",
+  padding: "10px",
+  borderRadius: "10px",
+  border: "1px solid #D7CCC8",
+  fontSize: "14px",
+  backgroundColor: "#FFFFFF",
+  color: "#333333",
+  boxSizing: "border-box",
+};
+
+export default ReportDialog;
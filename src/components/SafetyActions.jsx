@@ -0,0 +1,51 @@
+// ----------------------------------------------------------
+// SafetyActions.jsx
+//
+// Small "💔 Unmatch · 🚩 Report · 🚫 Block" links shown at the
+// bottom of profile cards (swipe deck, Matches).
+// The page decides what happens (unmatchUser / ReportDialog /
+// blockUser); a link is only shown when its handler is passed.
+// ----------------------------------------------------------
+
+import React from "react";
+
+function SafetyActions({ onUnmatch, onReport, onBlock }) {
+  return (
+    <div
+      style={{
+        marginTop: "10px",
+        display: "flex",
+        justifyContent: "flex-end",
+        alignItems: "center",
+        gap: "12px",
+      }}
+    >
+      {onUnmatch && (
+        <button type="button" onClick={onUnmatch} style={linkStyle}>
+          💔 Unmatch
+        </button>
+      )}
+      {onReport && (
+        <button type="button" onClick={onReport} style={linkStyle}>
+          🚩 Report
+        </button>
+      )}
+      {onBlock && (
+        <button type="button" onClick={onBlock} style={linkStyle}>
+          🚫 Block
+        </button>
+      )}
+    </div>
+  );
+}
+
+const linkStyle = {
+  border: "none",
+  background: "transparent",
+  padding: 0,
+  fontSize: "12px",
+  color: "#888888",
+  cursor: "pointer",
+};
+
+export default SafetyActions;
@@ -0,0 +1,215 @@
+// ----------------------------------------------------------
+// SwipeableCard.jsx
+//
+// Wraps a profile card so it can be swiped like a real deck:
+//   - drag with finger / mouse / pen (pointer events)
+//   - the card follows the pointer and tilts
+//   - "CONNECT" / "SKIP" stamps fade in while dragging
+//   - released past the threshold → flies off and calls
+//       onSwipeRight() (connect) or onSwipeLeft() (skip)
+//   - released before the threshold → snaps back
+//   - ← / → arrow keys do the same on desktop
+//
+// Give it a key per profile (key={profile.id}) so every new
+// card starts centered.
+// ----------------------------------------------------------
+
+import React, { useCallback, useEffect, useRef, useState } from "react";
+
+// How far (px) the card must be dragged to count as a swipe
+const SWIPE_THRESHOLD = 110;
+
+// Length of the fly-off / snap-back animation
+const ANIMATION_MS = 220;
+
+const wait = (ms) => new Promise((resolve) => setTimeout(resolve, ms));
+
+function SwipeableCard({
+  children,
+  onSwipeLeft,
+  onSwipeRight,
+  disabled = false,
+  keyboard = true,
+}) {
+  // Current drag offset in px
+  const [dx, setDx] = useState(0);
+  const [dy, setDy] = useState(0);
+  const [dragging, setDragging] = useState(false);
+
+  // "left" | "right" while flying off the screen
+  const [leaving, setLeaving] = useState(null);
+
+  // Where the drag started + which pointer is dragging
+  const startRef = useRef(null);
+
+  // True while a swipe is being finished (no double swipes)
+  const busyRef = useRef(false);
+
+  const resetPosition = () => {
+    setDx(0);
+    setDy(0);
+    setLeaving(null);
+  };
+
+  // Fly off in a direction, then run the matching action
+  const finishSwipe = useCallback(
+    async (direction) => {
+      if (busyRef.current || disabled) return;
+      busyRef.current = true;
+      setLeaving(direction);
+
+      await wait(ANIMATION_MS);
+
+      try {
+        if (direction === "right") {
+          await onSwipeRight?.();
+        } else {
+          await onSwipeLeft?.();
+        }
+      } finally {
+        // If we're still mounted (e.g. saving failed), bring the card back
+        busyRef.current = false;
+        resetPosition();
+      }
+    },
+    [disabled, onSwipeLeft, onSwipeRight]
+  );
+
+  // ---------- Pointer (touch / mouse / pen) ----------
+
+  const handlePointerDown = (e) => {
+    if (disabled || busyRef.current) return;
+    if (e.pointerType === "mouse" && e.button !== 0) return;
+    // Let buttons / links inside the card work normally
+    if (e.target.closest("button, a, input, select, textarea")) return;
+
+    startRef.current = { x: e.clientX, y: e.clientY, id: e.pointerId };
+    e.currentTarget.setPointerCapture(e.pointerId);
+    setDragging(true);
+  };
+
+  const handlePointerMove = (e) => {
+    const start = startRef.current;
+    if (!start || start.id !== e.pointerId) return;
+    setDx(e.clientX - start.x);
+    setDy(e.clientY - start.y);
+  };
+
+  const handlePointerUp = (e) => {
+    const start = startRef.current;
+    if (!start || start.id !== e.pointerId) return;
+    startRef.current = null;
+    setDragging(false);
+
+    const moved = e.clientX - start.x;
+    if (Math.abs(moved) >= SWIPE_THRESHOLD) {
+      finishSwipe(moved > 0 ? "right" : "left");
+    } else {
+      resetPosition();
+    }
+  };
+
+  const handlePointerCancel = () => {
+    startRef.current = null;
+    setDragging(false);
+    resetPosition();
+  };
+
+  // ---------- Keyboard (← skip, → connect) ----------
+
+  useEffect(() => {
+    if (!keyboard || disabled) return undefined;
+
+    const handleKeyDown = (e) => {
+      // Don't steal arrows from text fields
+      if (e.target.closest?.("input, textarea, select, [contenteditable]")) {
+        return;
+      }
+      if (e.key === "ArrowLeft") {
+        e.preventDefault();
+        finishSwipe("left");
+      } else if (e.key === "ArrowRight") {
+        e.preventDefault();
+        finishSwipe("right");
+      }
+    };
+
+    window.addEventListener("keydown", handleKeyDown);
+    return () => window.removeEventListener("keydown", handleKeyDown);
+  }, [keyboard, disabled, finishSwipe]);
+
+  // ---------- Render ----------
+
+  let transform = `translate(${dx}px, ${dy * 0.2}px) rotate(${dx / 15}deg)`;
+  if (leaving === "right") transform = "translateX(130%) rotate(20deg)";
+  if (leaving === "left") transform = "translateX(-130%) rotate(-20deg)";
+
+  // 0 → 1 as the drag approaches the threshold
+  const likeStrength =
+    leaving === "right" ? 1 : Math.min(Math.max(dx / SWIPE_THRESHOLD, 0), 1);
+  const skipStrength =
+    leaving === "left" ? 1 : Math.min(Math.max(-dx / SWIPE_THRESHOLD, 0), 1);
+
+  return (
+    <div
+      onPointerDown={handlePointerDown}
+      onPointerMove={handlePointerMove}
+      onPointerUp={handlePointerUp}
+      onPointerCancel={handlePointerCancel}
+      style={{
+        position: "relative",
+        transform,
+        transition: dragging ? "none" : `transform ${ANIMATION_MS}ms ease-out`,
+        touchAction: "pan-y", // vertical scrolling still works
+        userSelect: "none",
+        cursor: disabled ? "default" : dragging ? "grabbing" : "grab",
+      }}
+    >
+      {children}
+
+      {/* Stamps shown while dragging */}
+      <SwipeStamp
+        label="CONNECT"
+        color="#5B8C51"
+        side="left"
+        opacity={likeStrength}
+      />
+      <SwipeStamp
+        label="SKIP"
+        color="#C0554A"
+        side="right"
+        opacity={skipStrength}
+      />
+    </div>
+  );
+}
+
+// Big rotated label in the card's top corner
+function SwipeStamp({ label, color, side, opacity }) {
+  if (opacity <= 0) return null;
+
+  return (
+    <div
+      style={{
+        position: "absolute",
+        top: "18px",
+        [side]: "18px",
+        padding: "4px 10px",
+        border: `3px solid ${color}`,
+        borderRadius: "8px",
+        color,
+        fontSize: "20px",
+        fontWeight: "bold",
+        letterSpacing: "1px",
+        backgroundColor: "rgba(255,255,255,0.7)",
+        transform: `rotate(${side === "left" ? -14 : 14}deg)`,
+        opacity,
+        pointerEvents: "none",
+      }}
+    >
+      {label}
+    </div>
+  );
+}
+
+export default SwipeableCard;
@@ -0,0 +1,19 @@
+// ----------------------------------------------------------
+// config.js
+//
+// App-wide settings that we may want to tune without touching
+// page code. Values can be overridden with Vite env variables
+// (e.g. in .env.local):
+//
+//   VITE_PASS_COOLDOWN_DAYS=7
+// ----------------------------------------------------------
+
+// Read a number from an env variable, falling back to a default
+function envNumber(name, fallback) {
+  const n = Number(import.meta.env[name]);
+  return Number.isFinite(n) && n >= 0 ? n : fallback;
+}
+
+// How many days a skipped ("passed") student stays out of the deck.
+// After that they can show up again.
+export const PASS_COOLDOWN_DAYS = envNumber("VITE_PASS_COOLDOWN_DAYS", 14);
@@ -0,0 +1,21 @@
+// ----------------------------------------------------------
+// AuthContext.js
+//
+// Shared auth state for the whole app.
+// <AuthProvider> (components/AuthProvider.jsx) fills it in,
+// pages read it with the useAuth() hook:
+//
+//   const { user, profile } = useAuth();
+// ----------------------------------------------------------
+
+import { createContext, useContext } from "react";
+
+export const AuthContext = createContext(null);
+
+export function useAuth() {
+  const value = useContext(AuthContext);
+  if (!value) {
+    throw new Error("useAuth() must be used inside <AuthProvider>.");
+  }
+  return value;
+}
@@ -9,9 +9,9 @@
 // These imports load only the Firebase services we need.
 // This keeps your app fast and small.
 import { initializeApp } from "firebase/app"; // Connects to Firebase project
-import { getAuth } from "firebase/auth"; // User login + signup
-import { getFirestore } from "firebase/firestore"; // Database
-import { getStorage } from "firebase/storage"; // Photo upload
+import { getAuth, connectAuthEmulator } from "firebase/auth"; // User login + signup
+import { getFirestore, connectFirestoreEmulator } from "firebase/firestore"; // Database
+import { getStorage, connectStorageEmulator } from "firebase/storage"; // Photo upload
 
 /* 
   This object contains ALL the unique settings for your Firebase project.
@@ -45,6 +45,18 @@ export const db = getFirestore(app);
 // Storage tool → upload profile photos, house photos
 export const storage = getStorage(app);
 
+/*
+  Local development against the Firebase Emulator Suite.
+  Start the emulators with "firebase emulators:start" and run the app with
+  VITE_USE_EMULATORS=true (e.g. in .env.local). Nothing touches production then.
+  Ports must match the "emulators" block in firebase.json.
+*/
+if (import.meta.env.VITE_USE_EMULATORS === "true") {
+  connectAuthEmulator(auth, "http://127.0.0.1:9099", { disableWarnings: true });
+  connectFirestoreEmulator(db, "127.0.0.1", 8080);
+  connectStorageEmulator(storage, "127.0.0.1", 9199);
+}
+
 /*
   We export "app" itself in case we need deeper Firebase features later.
 */
@@ -0,0 +1,43 @@
+// ----------------------------------------------------------
+// useAttachmentUrl.js
+//
+// Local URL of a chat attachment (utils/attachments.js), for
+// <img src> / <a href>. Downloads it through the Storage SDK, so
+// storage.rules decide who can see it.
+// Returns { url, failed }: url is null while loading or on error.
+// The object URL is revoked when the path changes or the component
+// goes away, so the downloaded file doesn't stay in memory.
+// ----------------------------------------------------------
+
+import { useEffect, useState } from "react";
+import { loadAttachmentBlob } from "../utils/attachments";
+
+export default function useAttachmentUrl(path) {
+  // Result for the path it was loaded for (ignored for other paths)
+  const [result, setResult] = useState({ path: null, url: null });
+
+  useEffect(() => {
+    if (!path) return;
+    let cancelled = false;
+    let objectUrl = null;
+
+    loadAttachmentBlob(path)
+      .then((blob) => {
+        if (cancelled) return;
+        objectUrl = URL.createObjectURL(blob);
+        setResult({ path, url: objectUrl, failed: false });
+      })
+      .catch((err) => {
+        console.error("Error loading attachment:", err);
+        if (!cancelled) setResult({ path, url: null, failed: true });
+      });
+
+    return () => {
+      cancelled = true;
+      if (objectUrl) URL.revokeObjectURL(objectUrl);
+    };
+  }, [path]);
+
+  const current = result.path === path ? result : null;
+  return { url: current?.url || null, failed: Boolean(current?.failed) };
+}
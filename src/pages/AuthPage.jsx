@@ -8,15 +8,18 @@
 //    signup  → /verify
 //    signin (not verified) → /verify
 //    signin (verified)     → /home   (main page)
+//                            or the page they were trying to open
+// - Already signed in + verified → skips straight to /home
 
 import React, { useState } from "react";
-import { useNavigate } from "react-router-dom";
+import { Navigate, useLocation, useNavigate } from "react-router-dom";
 import {
   createUserWithEmailAndPassword,
   signInWithEmailAndPassword,
   sendEmailVerification,
 } from "firebase/auth";
 import { auth } from "../firebase"; // we only need auth here
+import { useAuth } from "../context/AuthContext";
 
 // Simple university email checker
 function isUniversityEmail(email) {
@@ -36,6 +39,11 @@ function isUniversityEmail(email) {
 
 function AuthPage() {
   const navigate = useNavigate();
+  const location = useLocation();
+  const { user, emailVerified, loading: authLoading } = useAuth();
+
+  // Where to go after signing in (set by <ProtectedRoute> on deep links)
+  const redirectTo = location.state?.from?.pathname || "/home";
 
   // "signin" or "signup"
   const [activeTab, setActiveTab] = useState("signin");
@@ -154,7 +162,7 @@ function AuthPage() {
       }
 
       // ✅ 3) Already registered & verified → go straight to main page
-      navigate("/home");
+      navigate(redirectTo, { replace: true });
     } catch (err) {
       console.error("Signin error:", err);
 
@@ -172,6 +180,11 @@ function AuthPage() {
     }
   };
 
+  // Session restored and already verified → no need to sign in again
+  if (!authLoading && user && emailVerified) {
+    return <Navigate to={redirectTo} replace />;
+  }
+
   return (
     <div
       style={{
@@ -4,70 +4,151 @@
 // One-to-one chat between the current user and a match.
 // URL format: /chat/:uid
 //   - :uid is the OTHER user's uid
+//   - only opens when we have a mutual match (matches/{pairId});
+//     otherwise shows a "you're not matched" screen
+//     (firestore.rules enforce the same for chats + messages)
 //
-// Firestore structure:
-//   chats/{chatId}         → { participants: [uid1, uid2], createdAt? }
+// Firestore structure (see utils/chats.js):
+//   chats/{chatId}         → { participants, updatedAt, lastMessage,
+//                              lastSenderUid, lastReadAt, unreadCount }
 //   chats/{chatId}/messages/{messageId} → {
-//      text, fromUid, toUid, createdAt
+//      text, fromUid, toUid, createdAt, attachment?
 //   }
 //
 // chatId is deterministic so both sides join the same room:
 //   chatId = smallerUid + "_" + largerUid
+//
+// While the chat is open, new messages from the other person are
+// marked as read (lastReadAt / unreadCount on the chat document).
+// My messages show "sending / sent / delivered / seen" ticks, and the
+// header shows "typing…" while the other person is typing
+// (typing map on the chat document, throttled + cleared on leave).
+//
+// History is paged: the latest messages load first, and older ones
+// load when scrolling to the top (keeping the scroll position).
+// Messages are grouped under "Today / Yesterday / date" separators.
+//
+// 📎 sends a photo or PDF (utils/attachments.js) with an upload
+// progress bar; photos show inline and open in a lightbox.
+//
+// 🚩 reports the other student (recent messages are attached) and
+// 🚫 blocks them: the input is replaced by a notice and
+// firestore.rules refuse new messages in either direction.
+// 💔 unmatches (utils/matches.js): removeMatchOnUnlike archives the
+// chat and removes the match, so the rules close it for both sides.
+// If the other person unmatches while it's open, we switch to the
+// "you're not matched" screen (the same one a reload would show).
 // ----------------------------------------------------------
 
-import React, { useEffect, useState, useRef } from "react";
+import React, { useEffect, useLayoutEffect, useState, useRef } from "react";
 import { useNavigate, useParams } from "react-router-dom";
-import { auth, db } from "../firebase";
+import { db } from "../firebase";
+import { doc, getDoc } from "firebase/firestore";
+import { useAuth } from "../context/AuthContext";
+import { isMatchedWith, pairIdFor, unmatchUser } from "../utils/matches";
+import {
+  TYPING_THROTTLE_MS,
+  TYPING_TIMEOUT_MS,
+  ensureChat,
+  fetchLatestMessages,
+  fetchOlderMessages,
+  markChatRead,
+  messageStatus,
+  sendMessage,
+  setTyping,
+  subscribeToChat,
+  subscribeToMessagesFrom,
+} from "../utils/chats";
 import {
-  doc,
-  getDoc,
-  setDoc,
-  collection,
-  addDoc,
-  onSnapshot,
-  query,
-  orderBy,
-  serverTimestamp,
-} from "firebase/firestore";
+  ATTACHMENT_ACCEPT,
+  checkAttachment,
+  formatFileSize,
+  uploadChatAttachment,
+} from "../utils/attachments";
+import useAttachmentUrl from "../hooks/useAttachmentUrl";
+import { blockUser, loadBlocks, unblockUser } from "../utils/safety";
+import ReportDialog from "../components/ReportDialog.jsx";
+
+// Load older messages when scrolled this close to the top (px)
+const LOAD_OLDER_THRESHOLD = 60;
+
+// Milliseconds of a message's time (pending ones count as "now")
+function messageMillis(message) {
+  return message.createdAt?.toMillis?.() ?? Date.now();
+}
 
 function Chat() {
   const navigate = useNavigate();
   const { uid: otherUid } = useParams(); // uid from URL
+  const { user } = useAuth();
+  const myUid = user.uid;
   const [chatId, setChatId] = useState(null);
 
   const [otherProfile, setOtherProfile] = useState(null); // other student's profile
-  const [messages, setMessages] = useState([]); // chat messages
+  const [liveMessages, setLiveMessages] = useState([]); // latest page + new
+  const [olderMessages, setOlderMessages] = useState([]); // loaded on scroll
+  const [hasOlder, setHasOlder] = useState(false);
+  const [loadingOlder, setLoadingOlder] = useState(false);
   const [newMessage, setNewMessage] = useState(""); // input text
+  const [chat, setChat] = useState(null); // chats/{chatId} (receipts, typing)
+  const [otherTyping, setOtherTyping] = useState(false);
+
+  // Attachment being uploaded: { name, progress 0–1 } or null
+  const [upload, setUpload] = useState(null);
+  // Full-size photo shown in the lightbox (Storage path) or null
+  const [lightboxPath, setLightboxPath] = useState(null);
 
   const [loading, setLoading] = useState(true);
   const [errorMsg, setErrorMsg] = useState("");
+  const [notMatched, setNotMatched] = useState(false);
+
+  // null | "byMe" (I blocked them) | "byThem" (they blocked me)
+  const [blockState, setBlockState] = useState(null);
+  const [reportOpen, setReportOpen] = useState(false);
 
   const messagesEndRef = useRef(null); // for auto-scroll
+  const listRef = useRef(null); // scrollable messages area
+  const fileInputRef = useRef(null); // hidden attachment picker
 
-  // Helper: build a stable chat ID from two user IDs
-  const getChatId = (uid1, uid2) => {
-    if (!uid1 || !uid2) return null;
-    return uid1 < uid2 ? `${uid1}_${uid2}` : `${uid2}_${uid1}`;
-  };
+  // Paging + scroll bookkeeping (not rendered, so refs):
+  //   oldestDoc   → Firestore doc to load older messages before
+  //   restore     → scroll height/top before older messages were added
+  //   nearBottom  → was the user at the bottom before new messages came
+  //   newestId    → last message we scrolled down for
+  const pagingRef = useRef({
+    oldestDoc: null,
+    restore: null,
+    nearBottom: true,
+    newestId: null,
+  });
+
+  // My own typing signal: when it was last sent + the idle timer
+  const myTypingRef = useRef({ sentAt: 0, idleTimer: null });
 
   // Load chat + other profile + start listening for messages
   useEffect(() => {
-    let unsubscribe = null;
+    let unsubscribeMessages = null;
+    let unsubscribeChat = null;
+    let cancelled = false; // left the page before setup finished
+
+    // Other person's typing signal (restart the timeout on each new one)
+    let lastTypingSignal = null;
+    let typingTimeout = null;
+
+    // Last message we marked as read (avoid writing twice)
+    let lastReadMessageId = null;
+
+    const myTyping = myTypingRef.current;
 
     const setupChat = async () => {
       try {
-        if (!auth.currentUser) {
-          navigate("/");
-          return;
-        }
-        if (!otherUid || otherUid === auth.currentUser.uid) {
+        if (!otherUid || otherUid === myUid) {
           setErrorMsg("Invalid chat partner.");
           setLoading(false);
           return;
         }
 
-        const myUid = auth.currentUser.uid;
-        const id = getChatId(myUid, otherUid);
+        const id = pairIdFor(myUid, otherUid);
         setChatId(id);
 
         // Load other user's profile info
@@ -80,29 +161,79 @@ function Chat() {
         }
         setOtherProfile(otherSnap.data());
 
+        // Chats are only for mutual matches
+        const matched = await isMatchedWith(myUid, otherUid);
+        if (cancelled) return;
+        if (!matched) {
+          setNotMatched(true);
+          setLoading(false);
+          return;
+        }
+
+        // Blocked either way → history stays readable, no new messages
+        const blocks = await loadBlocks(myUid);
+        if (cancelled) return;
+        if (blocks.blockedByMe.has(otherUid)) setBlockState("byMe");
+        else if (blocks.hidden.has(otherUid)) setBlockState("byThem");
+
         // Ensure chat document exists
-        const chatRef = doc(db, "chats", id);
-        await setDoc(
-          chatRef,
-          {
-            participants: [myUid, otherUid],
-            updatedAt: serverTimestamp(),
-          },
-          { merge: true }
-        );
+        await ensureChat(id, myUid, otherUid);
+        if (cancelled) return;
 
-        // Start listening to messages in this chat
-        const messagesRef = collection(db, "chats", id, "messages");
-        const q = query(messagesRef, orderBy("createdAt", "asc"));
+        // Receipts + typing live on the chat document
+        unsubscribeChat = subscribeToChat(id, (data) => {
+          // Archived by removeMatchOnUnlike: the match is being removed
+          // and the rules are about to refuse this chat
+          if (data?.archived) {
+            unsubscribeChat?.();
+            unsubscribeMessages?.();
+            setNotMatched(true);
+            return;
+          }
+          setChat(data);
 
-        unsubscribe = onSnapshot(q, (snapshot) => {
-          const list = snapshot.docs.map((d) => ({
-            id: d.id,
-            ...d.data(),
-          }));
-          setMessages(list);
-          setLoading(false);
+          const signal = data?.typing?.[otherUid]?.toMillis?.() ?? null;
+          if (signal === lastTypingSignal) return;
+          lastTypingSignal = signal;
+
+          clearTimeout(typingTimeout);
+          setOtherTyping(signal !== null);
+          if (signal !== null) {
+            typingTimeout = setTimeout(
+              () => setOtherTyping(false),
+              TYPING_TIMEOUT_MS
+            );
+          }
         });
+
+        // Latest page first, then listen live from its oldest message on
+        const firstPage = await fetchLatestMessages(id);
+        if (cancelled) return;
+        pagingRef.current.oldestDoc = firstPage.oldestDoc;
+        setHasOlder(firstPage.hasOlder);
+
+        unsubscribeMessages = subscribeToMessagesFrom(
+          id,
+          firstPage.oldestDoc,
+          (list) => {
+            setLiveMessages(list);
+            setLoading(false);
+
+            // I'm looking at the chat → the other person's messages are read
+            const last = list[list.length - 1];
+            if (
+              last &&
+              last.fromUid !== myUid &&
+              last.id !== lastReadMessageId
+            ) {
+              lastReadMessageId = last.id;
+              markChatRead(id, myUid).catch((err) =>
+                console.error("Error marking chat as read:", err)
+              );
+            }
+          },
+          () => setErrorMsg("Could not load new messages.")
+        );
       } catch (err) {
         console.error("Error setting up chat:", err);
         setErrorMsg("Could not load chat.");
@@ -112,41 +243,230 @@ function Chat() {
 
     setupChat();
 
-    // Cleanup listener on unmount
+    // Cleanup listeners + typing state on unmount / chat change
     return () => {
-      if (unsubscribe) unsubscribe();
+      cancelled = true;
+      if (unsubscribeMessages) unsubscribeMessages();
+      if (unsubscribeChat) unsubscribeChat();
+      clearTimeout(typingTimeout);
+      clearTimeout(myTyping.idleTimer);
+
+      // Don't leave "typing…" showing on the other side
+      if (myTyping.sentAt > 0) {
+        myTyping.sentAt = 0;
+        setTyping(pairIdFor(myUid, otherUid), myUid, false).catch(() => {});
+      }
+    };
+  }, [myUid, otherUid]);
+
+  // Tell the other person I'm typing (at most every TYPING_THROTTLE_MS),
+  // and clear it once I stop for a while
+  const signalTyping = (text) => {
+    if (!chatId) return;
+    const myTyping = myTypingRef.current;
+    clearTimeout(myTyping.idleTimer);
+
+    const stopTyping = () => {
+      if (myTyping.sentAt === 0) return;
+      myTyping.sentAt = 0;
+      setTyping(chatId, myUid, false).catch(() => {});
     };
-  }, [navigate, otherUid]);
 
-  // Auto-scroll to bottom when messages change
+    if (!text) {
+      stopTyping();
+      return;
+    }
+
+    const now = Date.now();
+    if (now - myTyping.sentAt > TYPING_THROTTLE_MS) {
+      myTyping.sentAt = now;
+      setTyping(chatId, myUid, true).catch((err) =>
+        console.error("Error updating typing status:", err)
+      );
+    }
+    myTyping.idleTimer = setTimeout(stopTyping, TYPING_TIMEOUT_MS);
+  };
+
+  // Older pages + live messages, oldest first (no duplicates)
+  const liveIds = new Set(liveMessages.map((m) => m.id));
+  const messages = olderMessages
+    .filter((m) => !liveIds.has(m.id))
+    .concat(liveMessages)
+    .sort((a, b) => messageMillis(a) - messageMillis(b));
+  const newestId =
+    messages.length > 0 ? messages[messages.length - 1].id : null;
+
+  // Load the page before the oldest message we have
+  const loadOlder = async () => {
+    const paging = pagingRef.current;
+    if (!chatId || !hasOlder || loadingOlder || !paging.oldestDoc) return;
+
+    setLoadingOlder(true);
+    try {
+      const page = await fetchOlderMessages(chatId, paging.oldestDoc);
+      const el = listRef.current;
+      if (el) {
+        paging.restore = { height: el.scrollHeight, top: el.scrollTop };
+      }
+      paging.oldestDoc = page.oldestDoc || paging.oldestDoc;
+      setOlderMessages((prev) => [...page.messages, ...prev]);
+      setHasOlder(page.hasOlder);
+    } catch (err) {
+      console.error("Error loading older messages:", err);
+      setErrorMsg("Could not load older messages.");
+    } finally {
+      setLoadingOlder(false);
+    }
+  };
+
+  const handleScroll = (e) => {
+    const el = e.currentTarget;
+    pagingRef.current.nearBottom =
+      el.scrollHeight - el.scrollTop - el.clientHeight < 80;
+    if (el.scrollTop < LOAD_OLDER_THRESHOLD) loadOlder();
+  };
+
+  // Older messages were added above → keep the same message in view
+  useLayoutEffect(() => {
+    const paging = pagingRef.current;
+    const el = listRef.current;
+    if (!paging.restore || !el) return;
+    el.scrollTop = el.scrollHeight - paging.restore.height + paging.restore.top;
+    paging.restore = null;
+  }, [olderMessages]);
+
+  // A new message at the bottom → scroll down if I was already at the
+  // bottom (or it's my own message). Instant on first load.
   useEffect(() => {
-    if (messagesEndRef.current) {
-      messagesEndRef.current.scrollIntoView({ behavior: "smooth" });
+    const paging = pagingRef.current;
+    if (!newestId || newestId === paging.newestId) return;
+
+    const firstLoad = paging.newestId === null;
+    paging.newestId = newestId;
+
+    const newest = liveMessages[liveMessages.length - 1];
+    const mine = newest?.fromUid === myUid;
+    if (firstLoad || mine || paging.nearBottom) {
+      messagesEndRef.current?.scrollIntoView({
+        behavior: firstLoad ? "auto" : "smooth",
+      });
     }
-  }, [messages]);
+  }, [newestId, liveMessages, myUid]);
 
   const handleSend = async (e) => {
     e.preventDefault();
-    if (!chatId || !auth.currentUser || !otherUid) return;
+    if (!chatId || !otherUid) return;
 
     const text = newMessage.trim();
     if (!text) return;
 
+    // Clear the input right away; the bubble shows "sending" until saved.
+    // sendMessage also removes my typing flag.
+    setNewMessage("");
+    clearTimeout(myTypingRef.current.idleTimer);
+    myTypingRef.current.sentAt = 0;
+
     try {
-      const myUid = auth.currentUser.uid;
-      const messagesRef = collection(db, "chats", chatId, "messages");
+      await sendMessage(chatId, { text, fromUid: myUid, toUid: otherUid });
+    } catch (err) {
+      console.error("Error sending message:", err);
+      setErrorMsg("Could not send your message.");
+      setNewMessage(text);
+    }
+  };
+
+  // Upload the picked photo / PDF, then send it as its own message
+  const handleAttachmentChange = async (e) => {
+    const file = e.target.files?.[0];
+    e.target.value = ""; // allow picking the same file again
+    if (!file || !chatId || !otherUid) return;
+
+    setErrorMsg("");
+    try {
+      checkAttachment(file); // size / type limits, before uploading
+    } catch (err) {
+      setErrorMsg(err.message);
+      return;
+    }
 
-      await addDoc(messagesRef, {
-        text,
+    setUpload({ name: file.name, progress: 0 });
+    try {
+      const attachment = await uploadChatAttachment(
+        chatId,
+        myUid,
+        file,
+        (progress) => setUpload({ name: file.name, progress })
+      );
+      await sendMessage(chatId, {
         fromUid: myUid,
         toUid: otherUid,
-        createdAt: serverTimestamp(),
+        attachment,
       });
+    } catch (err) {
+      console.error("Error sending attachment:", err);
+      setErrorMsg(err.message || "Could not send your file.");
+    } finally {
+      setUpload(null);
+    }
+  };
+
+  const stopMyTyping = () => {
+    const myTyping = myTypingRef.current;
+    clearTimeout(myTyping.idleTimer);
+    if (myTyping.sentAt > 0 && chatId) {
+      myTyping.sentAt = 0;
+      setTyping(chatId, myUid, false).catch(() => {});
+    }
+  };
 
+  const handleBlock = async () => {
+    const name = otherProfile?.name || "this student";
+    if (
+      !window.confirm(
+        `Block ${name}? You won't see each other anywhere in the app and neither of you can send messages here.`
+      )
+    ) {
+      return;
+    }
+
+    try {
+      await blockUser(myUid, otherUid);
+      stopMyTyping();
       setNewMessage("");
+      setBlockState("byMe");
     } catch (err) {
-      console.error("Error sending message:", err);
-      setErrorMsg("Could not send your message.");
+      console.error("Error blocking user:", err);
+      setErrorMsg("Could not block this student. Please try again.");
+    }
+  };
+
+  const handleUnmatch = async () => {
+    const name = otherProfile?.name || "this student";
+    if (
+      !window.confirm(
+        `Unmatch ${name}? This chat will be archived for both of you.`
+      )
+    ) {
+      return;
+    }
+
+    try {
+      stopMyTyping();
+      await unmatchUser(myUid, otherUid);
+      navigate("/messages");
+    } catch (err) {
+      console.error("Error unmatching:", err);
+      setErrorMsg("Could not unmatch. Please try again.");
+    }
+  };
+
+  const handleUnblock = async () => {
+    try {
+      await unblockUser(myUid, otherUid);
+      setBlockState(null);
+    } catch (err) {
+      console.error("Error unblocking user:", err);
+      setErrorMsg("Could not unblock this student. Please try again.");
     }
   };
 
@@ -167,6 +487,16 @@ function Chat() {
     );
   }
 
+  if (notMatched) {
+    return (
+      <NotMatchedScreen
+        name={otherProfile?.name}
+        onFindRoommates={() => navigate("/swipe")}
+        onBack={() => navigate("/messages")}
+      />
+    );
+  }
+
   return (
     <div
       style={{
@@ -218,7 +548,7 @@ function Chat() {
           <div style={{ display: "flex", alignItems: "center", gap: "8px" }}>
             {otherProfile?.profilePhoto ? (
               <img
-                src={otherProfile.profilePhoto}
+                src={otherProfile.profilePhotoThumb || otherProfile.profilePhoto}
                 alt={otherProfile.name}
                 style={{
                   width: "36px",
@@ -258,7 +588,18 @@ function Chat() {
               >
                 {otherProfile?.name || "Student"}
               </div>
-              {otherProfile?.neighborhoods &&
+              {otherTyping ? (
+                <div
+                  style={{
+                    fontSize: "11px",
+                    color: "#5B8C51",
+                    fontStyle: "italic",
+                  }}
+                >
+                  typing…
+                </div>
+              ) : (
+                otherProfile?.neighborhoods &&
                 otherProfile.neighborhoods.length > 0 && (
                   <div
                     style={{
@@ -268,9 +609,43 @@ function Chat() {
                   >
                     Prefers: {otherProfile.neighborhoods[0]}
                   </div>
-                )}
+                )
+              )}
             </div>
           </div>
+
+          {/* Unmatch + safety: report, block */}
+          <div style={{ marginLeft: "auto", display: "flex", gap: "4px" }}>
+            <button
+              type="button"
+              onClick={handleUnmatch}
+              aria-label="Unmatch"
+              title="Unmatch"
+              style={headerIconStyle}
+            >
+              💔
+            </button>
+            <button
+              type="button"
+              onClick={() => setReportOpen(true)}
+              aria-label="Report"
+              title="Report"
+              style={headerIconStyle}
+            >
+              🚩
+            </button>
+            {blockState !== "byMe" && (
+              <button
+                type="button"
+                onClick={handleBlock}
+                aria-label="Block"
+                title="Block"
+                style={headerIconStyle}
+              >
+                🚫
+              </button>
+            )}
+          </div>
         </div>
 
         {/* Divider */}
@@ -284,6 +659,8 @@ function Chat() {
 
         {/* Messages area */}
         <div
+          ref={listRef}
+          onScroll={handleScroll}
           style={{
             flex: 1,
             overflowY: "auto",
@@ -316,62 +693,374 @@ function Chat() {
               No messages yet. Say hi and ask about their housing plans 😊
             </div>
           ) : (
-            messages.map((msg) => (
-              <MessageBubble
-                key={msg.id}
-                message={msg}
-                isMine={msg.fromUid === auth.currentUser?.uid}
-              />
-            ))
+            <>
+              {/* Older history */}
+              {(hasOlder || loadingOlder) && (
+                <div style={{ textAlign: "center", marginBottom: "8px" }}>
+                  <button
+                    type="button"
+                    onClick={loadOlder}
+                    disabled={loadingOlder}
+                    style={{
+                      border: "none",
+                      background: "transparent",
+                      fontSize: "12px",
+                      color: "#777",
+                      cursor: "pointer",
+                    }}
+                  >
+                    {loadingOlder
+                      ? "Loading earlier messages…"
+                      : "Load earlier messages"}
+                  </button>
+                </div>
+              )}
+
+              {messages.map((msg, i) => {
+                // Day separator before the first message of each day
+                const day = dayKey(msg);
+                const showDay = i === 0 || dayKey(messages[i - 1]) !== day;
+
+                return (
+                  <React.Fragment key={msg.id}>
+                    {showDay && <DaySeparator message={msg} />}
+                    <MessageBubble
+                      message={msg}
+                      isMine={msg.fromUid === myUid}
+                      onOpenImage={setLightboxPath}
+                      status={
+                        msg.fromUid === myUid
+                          ? messageStatus(msg, chat, otherUid)
+                          : null
+                      }
+                    />
+                  </React.Fragment>
+                );
+              })}
+            </>
           )}
 
           <div ref={messagesEndRef} />
         </div>
 
-        {/* Input area */}
-        <form
-          onSubmit={handleSend}
-          style={{
-            marginTop: "8px",
-            display: "flex",
-            gap: "8px",
-          }}
-        >
-          <input
-            type="text"
-            placeholder="Write a message…"
-            value={newMessage}
-            onChange={(e) => setNewMessage(e.target.value)}
+        {/* Upload progress */}
+        {upload && (
+          <div style={{ marginTop: "8px", fontSize: "12px", color: "#555" }}>
+            Sending {upload.name}… {Math.round(upload.progress * 100)}%
+            <div
+              style={{
+                marginTop: "4px",
+                height: "4px",
+                borderRadius: "999px",
+                backgroundColor: "#EEEEEE",
+                overflow: "hidden",
+              }}
+            >
+              <div
+                style={{
+                  width: `${upload.progress * 100}%`,
+                  height: "100%",
+                  backgroundColor: "#8BAA7A",
+                  transition: "width 0.2s",
+                }}
+              />
+            </div>
+          </div>
+        )}
+
+        {/* Blocked: no new messages */}
+        {blockState && (
+          <div
             style={{
-              flex: 1,
-              padding: "10px",
-              borderRadius: "999px",
-              border: "1px solid #D7CCC8",
-              fontSize: "14px",
+              marginTop: "8px",
+              padding: "10px 12px",
+              borderRadius: "12px",
+              backgroundColor: "#F7F2E7",
+              fontSize: "13px",
+              color: "#555555",
+              display: "flex",
+              alignItems: "center",
+              gap: "8px",
             }}
-          />
-          <button
-            type="submit"
+          >
+            <span style={{ flex: 1 }}>
+              {blockState === "byMe"
+                ? `You blocked ${otherProfile?.name || "this student"}.`
+                : "You can't reply to this conversation."}
+            </span>
+            {blockState === "byMe" && (
+              <button
+                type="button"
+                onClick={handleUnblock}
+                style={{
+                  padding: "6px 10px",
+                  borderRadius: "999px",
+                  border: "1px solid #D7CCC8",
+                  backgroundColor: "#FFFFFF",
+                  fontSize: "12px",
+                  fontWeight: "bold",
+                  cursor: "pointer",
+                }}
+              >
+                Unblock
+              </button>
+            )}
+          </div>
+        )}
+
+        {/* Input area */}
+        {!blockState && (
+          <form
+            onSubmit={handleSend}
             style={{
-              padding: "10px 16px",
-              borderRadius: "999px",
-              border: "none",
-              backgroundColor: "#C8D5B9",
-              fontWeight: "bold",
-              fontSize: "14px",
-              cursor: "pointer",
+              marginTop: "8px",
+              display: "flex",
+              gap: "8px",
             }}
           >
-            Send
-          </button>
-        </form>
+            {/* Attachment picker (photo / PDF) */}
+            <input
+              ref={fileInputRef}
+              type="file"
+              accept={ATTACHMENT_ACCEPT}
+              onChange={handleAttachmentChange}
+              style={{ display: "none" }}
+            />
+            <button
+              type="button"
+              onClick={() => fileInputRef.current?.click()}
+              disabled={!!upload}
+              aria-label="Attach a photo or PDF"
+              title="Attach a photo or PDF"
+              style={{
+                padding: "8px 10px",
+                borderRadius: "999px",
+                border: "1px solid #D7CCC8",
+                backgroundColor: "#FFFFFF",
+                fontSize: "16px",
+                cursor: upload ? "default" : "pointer",
+              }}
+            >
+              📎
+            </button>
+            <input
+              type="text"
+              placeholder="Write a message…"
+              value={newMessage}
+              onChange={(e) => {
+                setNewMessage(e.target.value);
+                signalTyping(e.target.value.trim());
+              }}
+              style={{
+                flex: 1,
+                padding: "10px",
+                borderRadius: "999px",
+                border: "1px solid #D7CCC8",
+                fontSize: "14px",
+              }}
+            />
+            <button
+              type="submit"
+              style={{
+                padding: "10px 16px",
+                borderRadius: "999px",
+                border: "none",
+                backgroundColor: "#C8D5B9",
+                fontWeight: "bold",
+                fontSize: "14px",
+                cursor: "pointer",
+              }}
+            >
+              Send
+            </button>
+          </form>
+        )}
+      </div>
+
+      {lightboxPath && (
+        <Lightbox
+          path={lightboxPath}
+          onClose={() => setLightboxPath(null)}
+        />
+      )}
+
+      {reportOpen && (
+        <ReportDialog
+          reporterUid={myUid}
+          reportedUid={otherUid}
+          reportedName={otherProfile?.name}
+          source="chat"
+          chatId={chatId}
+          messages={messages}
+          alreadyBlocked={blockState === "byMe"}
+          onClose={() => setReportOpen(false)}
+          onDone={({ blocked }) => {
+            setReportOpen(false);
+            if (blocked) {
+              stopMyTyping();
+              setBlockState("byMe");
+            }
+            setErrorMsg("Thanks for reporting. We'll take a look.");
+          }}
+        />
+      )}
+    </div>
+  );
+}
+
+const headerIconStyle = {
+  border: "none",
+  background: "transparent",
+  fontSize: "16px",
+  cursor: "pointer",
+  padding: "4px",
+};
+
+// Shown instead of the chat when there's no mutual match
+function NotMatchedScreen({ name, onFindRoommates, onBack }) {
+  return (
+    <div
+      style={{
+        minHeight: "100vh",
+        backgroundColor: "#FFF8E1",
+        display: "flex",
+        justifyContent: "center",
+        alignItems: "center",
+        padding: "24px 16px",
+        fontFamily: "Arial, sans-serif",
+      }}
+    >
+      <div
+        style={{
+          width: "100%",
+          maxWidth: "420px",
+          backgroundColor: "#FFFFFF",
+          borderRadius: "20px",
+          padding: "24px 20px",
+          boxShadow: "0 6px 18px rgba(0,0,0,0.08)",
+          textAlign: "center",
+        }}
+      >
+        <div style={{ fontSize: "36px", marginBottom: "8px" }}>🔒</div>
+        <h2 style={{ margin: "0 0 8px", fontSize: "20px", color: "#333333" }}>
+          You’re not matched{name ? ` with ${name}` : ""} yet
+        </h2>
+        <p style={{ margin: "0 0 16px", fontSize: "14px", color: "#555555" }}>
+          Chats open once you both tap “Connect” on each other’s profile.
+        </p>
+
+        <button
+          type="button"
+          onClick={onFindRoommates}
+          style={{
+            padding: "10px",
+            width: "100%",
+            marginBottom: "8px",
+            backgroundColor: "#C8D5B9",
+            border: "none",
+            borderRadius: "999px",
+            fontWeight: "bold",
+            fontSize: "14px",
+            cursor: "pointer",
+          }}
+        >
+          Find roommates
+        </button>
+        <button
+          type="button"
+          onClick={onBack}
+          style={{
+            padding: "10px",
+            width: "100%",
+            backgroundColor: "#FFFFFF",
+            border: "1px solid #D7CCC8",
+            borderRadius: "999px",
+            fontWeight: "bold",
+            fontSize: "14px",
+            color: "#333333",
+            cursor: "pointer",
+          }}
+        >
+          ⬅ Back to messages
+        </button>
       </div>
     </div>
   );
 }
 
-// A single message bubble
-function MessageBubble({ message, isMine }) {
+// Ticks shown under my messages
+const STATUS_LABELS = {
+  sending: { icon: "🕓", label: "Sending", color: "#888888" },
+  sent: { icon: "✓", label: "Sent", color: "#888888" },
+  delivered: { icon: "✓✓", label: "Delivered", color: "#888888" },
+  seen: { icon: "✓✓", label: "Seen", color: "#1E88E5" },
+};
+
+// "Mon Mar 10 2025" (same string for the same local day)
+function dayKey(message) {
+  return new Date(messageMillis(message)).toDateString();
+}
+
+// "Today" / "Yesterday" / "Monday, 10 March" / "10 March 2024"
+function formatDayLabel(message) {
+  const date = new Date(messageMillis(message));
+  const today = new Date();
+  const yesterday = new Date();
+  yesterday.setDate(today.getDate() - 1);
+
+  if (date.toDateString() === today.toDateString()) return "Today";
+  if (date.toDateString() === yesterday.toDateString()) return "Yesterday";
+  if (date.getFullYear() === today.getFullYear()) {
+    return date.toLocaleDateString([], {
+      weekday: "long",
+      day: "numeric",
+      month: "long",
+    });
+  }
+  return date.toLocaleDateString([], {
+    day: "numeric",
+    month: "long",
+    year: "numeric",
+  });
+}
+
+// Centered date label between days
+function DaySeparator({ message }) {
+  return (
+    <div
+      style={{
+        display: "flex",
+        justifyContent: "center",
+        margin: "10px 0 8px",
+      }}
+    >
+      <span
+        style={{
+          padding: "2px 10px",
+          borderRadius: "999px",
+          backgroundColor: "#EEEEEE",
+          fontSize: "11px",
+          color: "#666666",
+        }}
+      >
+        {formatDayLabel(message)}
+      </span>
+    </div>
+  );
+}
+
+// "14:05"
+function formatMessageTime(timestamp) {
+  if (!timestamp?.toDate) return "";
+  return timestamp
+    .toDate()
+    .toLocaleTimeString([], { hour: "2-digit", minute: "2-digit" });
+}
+
+// A single message bubble (time + delivery status for my messages)
+function MessageBubble({ message, isMine, status, onOpenImage }) {
+  const statusInfo = status ? STATUS_LABELS[status] : null;
+
   return (
     <div
       style={{
@@ -391,8 +1080,196 @@ function MessageBubble({ message, isMine }) {
           wordBreak: "break-word",
         }}
       >
+        {message.attachment && (
+          <AttachmentPreview
+            attachment={message.attachment}
+            onOpenImage={onOpenImage}
+          />
+        )}
         {message.text}
+        <div
+          style={{
+            marginTop: "2px",
+            display: "flex",
+            justifyContent: "flex-end",
+            gap: "4px",
+            fontSize: "10px",
+            color: "#888888",
+          }}
+        >
+          <span>{formatMessageTime(message.createdAt)}</span>
+          {statusInfo && (
+            <span
+              title={statusInfo.label}
+              aria-label={statusInfo.label}
+              style={{ color: statusInfo.color, fontWeight: "bold" }}
+            >
+              {statusInfo.icon}
+            </span>
+          )}
+        </div>
+      </div>
+    </div>
+  );
+}
+
+// Photo thumbnail (tap → lightbox) or PDF download card.
+// Files are downloaded through the Storage SDK (useAttachmentUrl),
+// so only the two participants can load them.
+function AttachmentPreview({ attachment, onOpenImage }) {
+  const isImage = attachment.kind === "image";
+  const { url, failed } = useAttachmentUrl(
+    isImage ? attachment.thumbPath || attachment.path : attachment.path
+  );
+
+  if (failed) {
+    return (
+      <div style={{ marginBottom: "4px", fontSize: "12px", color: "#777" }}>
+        {isImage ? "📷" : "📄"} Could not load this file.
       </div>
+    );
+  }
+
+  if (isImage) {
+    return (
+      <button
+        type="button"
+        onClick={() => onOpenImage(attachment.path)}
+        style={{
+          display: "block",
+          padding: 0,
+          border: "none",
+          background: "transparent",
+          cursor: "zoom-in",
+          marginBottom: "4px",
+        }}
+      >
+        {url ? (
+          <img
+            src={url}
+            alt={attachment.name || "Photo"}
+            style={{
+              display: "block",
+              maxWidth: "220px",
+              maxHeight: "220px",
+              borderRadius: "10px",
+              objectFit: "cover",
+            }}
+          />
+        ) : (
+          <div
+            style={{
+              width: "160px",
+              height: "120px",
+              borderRadius: "10px",
+              backgroundColor: "rgba(0,0,0,0.06)",
+            }}
+          />
+        )}
+      </button>
+    );
+  }
+
+  return (
+    <a
+      href={url || undefined}
+      target="_blank"
+      rel="noopener noreferrer"
+      style={{
+        display: "flex",
+        alignItems: "center",
+        gap: "8px",
+        padding: "8px 10px",
+        marginBottom: "4px",
+        borderRadius: "10px",
+        backgroundColor: "rgba(255,255,255,0.7)",
+        color: "#333333",
+        textDecoration: "none",
+      }}
+    >
+      <span style={{ fontSize: "22px" }}>📄</span>
+      <span style={{ minWidth: 0 }}>
+        <span
+          style={{
+            display: "block",
+            fontSize: "13px",
+            fontWeight: "bold",
+            overflow: "hidden",
+            textOverflow: "ellipsis",
+            whiteSpace: "nowrap",
+          }}
+        >
+          {attachment.name}
+        </span>
+        <span style={{ fontSize: "11px", color: "#777777" }}>
+          PDF · {formatFileSize(attachment.size)}
+        </span>
+      </span>
+    </a>
+  );
+}
+
+// Full-screen photo viewer (tap anywhere or press Esc to close)
+function Lightbox({ path, onClose }) {
+  const { url } = useAttachmentUrl(path);
+
+  useEffect(() => {
+    const handleKeyDown = (e) => {
+      if (e.key === "Escape") onClose();
+    };
+    window.addEventListener("keydown", handleKeyDown);
+    return () => window.removeEventListener("keydown", handleKeyDown);
+  }, [onClose]);
+
+  return (
+    <div
+      role="dialog"
+      aria-modal="true"
+      aria-label="Photo"
+      onClick={onClose}
+      style={{
+        position: "fixed",
+        inset: 0,
+        zIndex: 1000,
+        backgroundColor: "rgba(0,0,0,0.85)",
+        display: "flex",
+        justifyContent: "center",
+        alignItems: "center",
+        padding: "16px",
+        cursor: "zoom-out",
+      }}
+    >
+      {url && (
+        <img
+          src={url}
+          alt="Full size"
+          style={{
+            maxWidth: "100%",
+            maxHeight: "100%",
+            borderRadius: "8px",
+            objectFit: "contain",
+          }}
+        />
+      )}
+      <button
+        type="button"
+        onClick={onClose}
+        aria-label="Close"
+        style={{
+          position: "absolute",
+          top: "16px",
+          right: "16px",
+          border: "none",
+          borderRadius: "999px",
+          width: "36px",
+          height: "36px",
+          backgroundColor: "rgba(255,255,255,0.9)",
+          fontSize: "18px",
+          cursor: "pointer",
+        }}
+      >
+        ✕
+      </button>
     </div>
   );
 }
@@ -1,133 +1,168 @@
 // CreateProfile.jsx
-// Profile creation + editing page WITHOUT Firebase Storage.
+// Profile creation + editing page.
 //
-// - Basic info: name, age, gender, bio, hasHouse
+// - Basic info: name, age, gender, bio
+// - Housing intent: I have a room / I'm looking for a room / find a
+//   co-searcher (utils/housingIntent.js); "I have a room" = hasHouse
+//   (rent, rooms etc. of the place live in a separate listing,
+//   edited on /listing — see ListingEditor.jsx)
+// - Roommate gender preference (used to pre-filter the swipe deck)
+// - Campus (campusId, utils/commute.js), suggested from the
+//   university email domain; used for commute estimates
+// - Monthly budget range in TRY (budgetMin / budgetMax), used for matching
 // - Tags: neighborhoods, roommate preferences
 //   • Added via "Add" button OR clicking preset chips (no Enter needed)
-// - Profile photo & home photos stored as base64 data URLs in Firestore
-//   (works without Firebase Storage)
+//   • Neighborhoods can also be tapped on a small map
+//     (NeighborhoodMapPicker.jsx); typed names that are in the catalog
+//     are saved with the catalog spelling, and their catalog ids are
+//     saved as neighborhoodIds (utils/neighborhoods.js)
+// - Lifestyle questionnaire (utils/lifestyle.js), saved as "lifestyle"
+// - Dealbreakers: preferences (or questionnaire answers such as
+//   "non-smoker") that hide people with the opposite one
+// - How much budget / neighborhoods / roommate vibe matter for the
+//   match score (matchImportance, see utils/matchScore.js)
+// - Profile photo & home photos are resized in the browser and uploaded
+//   to Firebase Storage as soon as they are picked (utils/photos.js);
+//   only the download URLs (+ thumbnails) are saved on the profile
 
-import React, { useState, useEffect } from "react";
+import React, { useState } from "react";
 import { useNavigate } from "react-router-dom";
-import { auth, db } from "../firebase";
-import { doc, getDoc, setDoc } from "firebase/firestore";
-
-// 🔹 Preset tag suggestions
-const PRESET_NEIGHBORHOODS = [
-  "Çankaya",
-  "Kolej",
-  "Tunalı",
-  "ODTÜ çevresi",
-  "Kızılay",
-  "Bahçelievler",
-];
-
-const PRESET_PREFS = [
-  "tidy",
-  "non-smoker",
-  "quiet",
-  "social",
-  "night owl",
-  "early bird",
-  "LGBTQ+ friendly",
-];
-
-// Helper: read a File object as data URL (base64) using FileReader
-function fileToDataUrl(file) {
-  return new Promise((resolve, reject) => {
-    const reader = new FileReader();
-    reader.onloadend = () => resolve(reader.result);
-    reader.onerror = reject;
-    reader.readAsDataURL(file);
-  });
+import { db } from "../firebase";
+import { doc, serverTimestamp, setDoc } from "firebase/firestore";
+import { useAuth } from "../context/AuthContext";
+import { uploadPhoto, deletePhotoByUrl } from "../utils/photos";
+import {
+  MATCH_DIMENSIONS,
+  IMPORTANCE_LEVELS,
+  conflictsFor,
+  getImportance,
+} from "../utils/matchScore";
+import {
+  LIFESTYLE_QUESTIONS,
+  cleanLifestyle,
+  lifestyleTags,
+} from "../utils/lifestyle";
+import {
+  HOUSING_INTENTS,
+  getHousingIntent,
+  housingIntentFields,
+  housingIntentInfo,
+} from "../utils/housingIntent";
+import { PRESET_PREFS } from "../utils/tags";
+import {
+  findNeighborhood,
+  isSameNeighborhood,
+  neighborhoodIdsFor,
+} from "../utils/neighborhoods";
+import NeighborhoodMapPicker from "../components/NeighborhoodMapPicker.jsx";
+import { CAMPUSES, campusForEmail } from "../utils/commute";
+import { toWholeNumberOrNull } from "../utils/numbers";
+
+// Helper: pair up stored photo URLs with their thumbnails
+function toPhotoList(urls, thumbs) {
+  if (!Array.isArray(urls)) return [];
+  const thumbList = Array.isArray(thumbs) ? thumbs : [];
+  return urls.map((url, i) => ({ url, thumbUrl: thumbList[i] || url }));
 }
 
 function CreateProfile() {
   const navigate = useNavigate();
 
+  // Existing profile (edit mode) or null (first time).
+  // <AuthProvider> has already loaded it before this page renders.
+  const { user, profile: existing } = useAuth();
+
   // Basic fields
-  const [name, setName] = useState("");
-  const [age, setAge] = useState("");
-  const [gender, setGender] = useState("");
-  const [hasHouse, setHasHouse] = useState(false);
-  const [bio, setBio] = useState("");
+  const [name, setName] = useState(existing?.name || "");
+  const [age, setAge] = useState(existing?.age || "");
+  const [gender, setGender] = useState(existing?.gender || "");
+  const [genderPreference, setGenderPreference] = useState(
+    existing?.genderPreference || ""
+  );
+  const [housingIntent, setHousingIntent] = useState(
+    getHousingIntent(existing)
+  );
+  const hasHouse = housingIntent === "offering";
+
+  // Campus: saved one, or the one suggested by my email domain
+  const suggestedCampus = campusForEmail(user?.email);
+  const [campusId, setCampusId] = useState(
+    existing?.campusId ?? suggestedCampus?.id ?? ""
+  );
+  const [bio, setBio] = useState(existing?.bio || "");
 
-  // Profile photo data URL
-  const [profilePhoto, setProfilePhoto] = useState("");
+  // Monthly budget range (TRY). Older profiles only had a single "budget".
+  const [budgetMin, setBudgetMin] = useState(
+    existing?.budgetMin ?? existing?.budget ?? ""
+  );
+  const [budgetMax, setBudgetMax] = useState(
+    existing?.budgetMax ?? existing?.budget ?? ""
+  );
+
+  // Profile photo: { url, thumbUrl } or null
+  const [profilePhoto, setProfilePhoto] = useState(
+    existing?.profilePhoto
+      ? {
+          url: existing.profilePhoto,
+          thumbUrl: existing.profilePhotoThumb || existing.profilePhoto,
+        }
+      : null
+  );
 
   // Tag arrays
-  const [neighborhoods, setNeighborhoods] = useState([]);
-  const [roommatePreferences, setRoommatePreferences] = useState([]);
+  const [neighborhoods, setNeighborhoods] = useState(
+    Array.isArray(existing?.neighborhoods) ? existing.neighborhoods : []
+  );
+  const [roommatePreferences, setRoommatePreferences] = useState(
+    Array.isArray(existing?.roommatePreferences)
+      ? existing.roommatePreferences
+      : []
+  );
+
+  // Lifestyle answers: { sleepSchedule: 1–3, cleanliness: 1–5, ... }
+  const [lifestyle, setLifestyle] = useState(() =>
+    cleanLifestyle(existing?.lifestyle || {})
+  );
+
+  // Preferences the other person must not conflict with
+  const [dealbreakers, setDealbreakers] = useState(
+    Array.isArray(existing?.dealbreakers) ? existing.dealbreakers : []
+  );
+
+  // How much each part of the match score matters: { budget: 0–3, ... }
+  const [matchImportance, setMatchImportance] = useState(() =>
+    Object.fromEntries(
+      MATCH_DIMENSIONS.map(({ key }) => [key, getImportance(existing, key)])
+    )
+  );
 
   // Temporary input values for new tags
   const [neighborhoodInput, setNeighborhoodInput] = useState("");
   const [roommatePrefInput, setRoommatePrefInput] = useState("");
 
-  // Home photos (data URLs)
-  const [homePhotos, setHomePhotos] = useState([]);
+  // Home photos: [{ url, thumbUrl }, ...]
+  const [homePhotos, setHomePhotos] = useState(
+    toPhotoList(existing?.homePhotos, existing?.homePhotoThumbs)
+  );
+
+  // Number of photo uploads still running (Save waits for them)
+  const [uploadingCount, setUploadingCount] = useState(0);
 
-  const [loading, setLoading] = useState(true);
   const [saving, setSaving] = useState(false);
   const [errorMsg, setErrorMsg] = useState("");
 
-  // -----------------------------
-  // Load existing profile (edit)
-  // -----------------------------
-  useEffect(() => {
-    const loadProfileIfExists = async () => {
-      if (!auth.currentUser) {
-        navigate("/");
-        return;
-      }
-
-      try {
-        const uid = auth.currentUser.uid;
-        const profileRef = doc(db, "users", uid);
-        const snap = await getDoc(profileRef);
-
-        if (snap.exists()) {
-          const data = snap.data();
-
-          setName(data.name || "");
-          setAge(data.age || "");
-          setGender(data.gender || "");
-          setHasHouse(Boolean(data.hasHouse));
-          setBio(data.bio || "");
-
-          setProfilePhoto(data.profilePhoto || "");
-
-          setNeighborhoods(
-            Array.isArray(data.neighborhoods) ? data.neighborhoods : []
-          );
-          setRoommatePreferences(
-            Array.isArray(data.roommatePreferences)
-              ? data.roommatePreferences
-              : []
-          );
-          setHomePhotos(Array.isArray(data.homePhotos) ? data.homePhotos : []);
-        }
-      } catch (err) {
-        console.error("Error loading profile:", err);
-        setErrorMsg("Could not load your profile.");
-      } finally {
-        setLoading(false);
-      }
-    };
-
-    loadProfileIfExists();
-  }, [navigate]);
-
   // -----------------------------
   // Tag helpers (button + preset)
   // -----------------------------
 
-  // can be called with valueFromChip OR use current input
-  const addNeighborhoodTag = (valueFromChip) => {
-    const raw = valueFromChip ?? neighborhoodInput;
-    const trimmed = raw.trim();
+  // Adds the typed neighborhood ("odtu" → "ODTÜ çevresi" when it's
+  // in the catalog); the same area in another spelling isn't added twice
+  const addNeighborhoodTag = () => {
+    const trimmed = neighborhoodInput.trim();
     if (!trimmed) return;
-    if (!neighborhoods.includes(trimmed)) {
-      setNeighborhoods([...neighborhoods, trimmed]);
+    const name = findNeighborhood(trimmed)?.name || trimmed;
+    if (!neighborhoods.some((n) => isSameNeighborhood(n, name))) {
+      setNeighborhoods([...neighborhoods, name]);
     }
     setNeighborhoodInput("");
   };
@@ -136,6 +171,17 @@ function CreateProfile() {
     setNeighborhoods(neighborhoods.filter((n) => n !== tag));
   };
 
+  // Map dot tapped → add the area, or remove it (any spelling)
+  const toggleNeighborhood = (name) => {
+    if (neighborhoods.some((n) => isSameNeighborhood(n, name))) {
+      setNeighborhoods(
+        neighborhoods.filter((n) => !isSameNeighborhood(n, name))
+      );
+    } else {
+      setNeighborhoods([...neighborhoods, name]);
+    }
+  };
+
   const addRoommatePrefTag = (valueFromChip) => {
     const raw = valueFromChip ?? roommatePrefInput;
     const trimmed = raw.trim();
@@ -148,36 +194,74 @@ function CreateProfile() {
 
   const removeRoommatePrefTag = (tag) => {
     setRoommatePreferences(roommatePreferences.filter((p) => p !== tag));
+    setDealbreakers(dealbreakers.filter((d) => d !== tag));
+  };
+
+  const toggleDealbreaker = (tag) => {
+    setDealbreakers(
+      dealbreakers.includes(tag)
+        ? dealbreakers.filter((d) => d !== tag)
+        : [...dealbreakers, tag]
+    );
   };
 
+  // Only preferences with a known opposite can be dealbreakers.
+  // Questionnaire answers count too (Smoking: Non-smoker → "non-smoker").
+  const answerTags = lifestyleTags({ lifestyle }).filter(
+    (tag) => !roommatePreferences.some((p) => p.toLowerCase() === tag)
+  );
+  const dealbreakerOptions = [...roommatePreferences, ...answerTags].filter(
+    (p) => conflictsFor(p).length > 0
+  );
+
   // -----------------------------
   // File handlers
   // -----------------------------
 
   const handleProfilePhotoChange = async (e) => {
     const file = e.target.files?.[0];
+    e.target.value = ""; // allow picking the same file again
     if (!file) return;
+
+    setErrorMsg("");
+    setUploadingCount((n) => n + 1);
     try {
-      const dataUrl = await fileToDataUrl(file);
-      setProfilePhoto(dataUrl);
+      const uploaded = await uploadPhoto(user.uid, file, "profile");
+      setProfilePhoto(uploaded);
     } catch (err) {
-      console.error("Error reading profile photo:", err);
-      setErrorMsg("Could not load profile photo.");
+      console.error("Error uploading profile photo:", err);
+      setErrorMsg(err.message || "Could not upload profile photo.");
+    } finally {
+      setUploadingCount((n) => n - 1);
     }
   };
 
   const handleHomePhotosChange = async (e) => {
     const files = Array.from(e.target.files || []);
+    e.target.value = "";
     if (files.length === 0) return;
+
+    setErrorMsg("");
+    setUploadingCount((n) => n + files.length);
     try {
-      const dataUrls = await Promise.all(files.map(fileToDataUrl));
-      setHomePhotos((prev) => [...prev, ...dataUrls]);
+      const uploaded = await Promise.all(
+        files.map((file) =>
+          uploadPhoto(user.uid, file, "home").finally(() =>
+            setUploadingCount((n) => n - 1)
+          )
+        )
+      );
+      setHomePhotos((prev) => [...prev, ...uploaded]);
     } catch (err) {
-      console.error("Error reading home photos:", err);
-      setErrorMsg("Could not load home photos.");
+      console.error("Error uploading home photos:", err);
+      setErrorMsg(err.message || "Could not upload home photos.");
     }
   };
 
+  const removeHomePhoto = (url) => {
+    setHomePhotos(homePhotos.filter((p) => p.url !== url));
+  };
+
   // -----------------------------
   // Save profile
   // -----------------------------
@@ -185,19 +269,35 @@ function CreateProfile() {
     e.preventDefault();
     setErrorMsg("");
 
-    if (!auth.currentUser) {
-      setErrorMsg("You must be logged in.");
+    if (!name.trim()) {
+      setErrorMsg("Please enter your name.");
       return;
     }
 
-    if (!name.trim()) {
-      setErrorMsg("Please enter your name.");
+    if (uploadingCount > 0) {
+      setErrorMsg("Please wait until your photos finish uploading.");
+      return;
+    }
+
+    const minBudget = toWholeNumberOrNull(budgetMin);
+    const maxBudget = toWholeNumberOrNull(budgetMax);
+
+    if (
+      (minBudget !== null && minBudget < 0) ||
+      (maxBudget !== null && maxBudget < 0)
+    ) {
+      setErrorMsg("Budget can't be negative.");
+      return;
+    }
+
+    if (minBudget !== null && maxBudget !== null && minBudget > maxBudget) {
+      setErrorMsg("Your minimum budget is higher than your maximum budget.");
       return;
     }
 
     try {
       setSaving(true);
-      const uid = auth.currentUser.uid;
+      const uid = user.uid;
       const finalHomePhotos = hasHouse ? homePhotos : [];
 
       await setDoc(
@@ -206,16 +306,43 @@ function CreateProfile() {
           name: name.trim(),
           age: age.trim(),
           gender,
-          hasHouse,
+          genderPreference,
+          campusId,
+          ...housingIntentFields(housingIntent),
           bio: bio.trim(),
-          profilePhoto: profilePhoto || "",
-          homePhotos: finalHomePhotos,
+          budgetMin: minBudget,
+          budgetMax: maxBudget,
+          profilePhoto: profilePhoto?.url || "",
+          profilePhotoThumb: profilePhoto?.thumbUrl || "",
+          homePhotos: finalHomePhotos.map((p) => p.url),
+          homePhotoThumbs: finalHomePhotos.map((p) => p.thumbUrl),
           neighborhoods,
+          neighborhoodIds: neighborhoodIdsFor(neighborhoods),
           roommatePreferences,
+          dealbreakers: dealbreakers.filter((d) =>
+            dealbreakerOptions.includes(d)
+          ),
+          lifestyle: cleanLifestyle(lifestyle),
+          matchImportance,
+          // First save only (used by the deck's "newest profiles" sort)
+          ...(existing?.createdAt ? {} : { createdAt: serverTimestamp() }),
         },
         { merge: true }
       );
 
+      // Clean up Storage files that are no longer on the profile
+      const keptUrls = new Set(
+        [profilePhoto?.url, profilePhoto?.thumbUrl]
+          .concat(finalHomePhotos.flatMap((p) => [p.url, p.thumbUrl]))
+          .filter(Boolean)
+      );
+      const oldUrls = [existing?.profilePhoto, existing?.profilePhotoThumb]
+        .concat(existing?.homePhotos || [], existing?.homePhotoThumbs || [])
+        .filter(Boolean);
+      oldUrls
+        .filter((url) => !keptUrls.has(url))
+        .forEach((url) => deletePhotoByUrl(url));
+
       alert("Profile saved!");
       navigate("/home");
     } catch (err) {
@@ -229,23 +356,6 @@ function CreateProfile() {
   // -----------------------------
   // Render
   // -----------------------------
-  if (loading) {
-    return (
-      <div
-        style={{
-          minHeight: "100vh",
-          backgroundColor: "#FFF8E1",
-          display: "flex",
-          justifyContent: "center",
-          alignItems: "center",
-          fontFamily: "Arial, sans-serif",
-        }}
-      >
-        Loading profile…
-      </div>
-    );
-  }
-
   return (
     <div
       style={{
@@ -346,6 +456,82 @@ function CreateProfile() {
             </select>
           </label>
 
+          {/* Roommate gender preference */}
+          <label style={{ fontSize: "13px" }}>
+            I’d like to live with
+            <select
+              value={genderPreference}
+              onChange={(e) => setGenderPreference(e.target.value)}
+              style={inputStyle}
+            >
+              <option value="">Anyone</option>
+              <option value="Female">Women only</option>
+              <option value="Male">Men only</option>
+              <option value="Non-binary">Non-binary students only</option>
+            </select>
+          </label>
+
+          {/* Campus */}
+          <label style={{ fontSize: "13px" }}>
+            Campus
+            <select
+              value={campusId}
+              onChange={(e) => setCampusId(e.target.value)}
+              style={inputStyle}
+            >
+              <option value="">Not set</option>
+              {CAMPUSES.map((c) => (
+                <option key={c.id} value={c.id}>
+                  {c.name} ({c.university})
+                </option>
+              ))}
+            </select>
+            <small style={{ fontSize: "11px", color: "#777" }}>
+              {suggestedCampus && !existing?.campusId
+                ? "Suggested from your university email. "
+                : ""}
+              Used to show how long students’ commutes would be.
+            </small>
+          </label>
+
+          {/* Budget range */}
+          <div style={{ fontSize: "13px" }}>
+            Monthly budget (₺)
+            <div
+              style={{
+                display: "flex",
+                gap: "8px",
+                alignItems: "center",
+              }}
+            >
+              <input
+                type="number"
+                min="0"
+                step="500"
+                value={budgetMin}
+                onChange={(e) => setBudgetMin(e.target.value)}
+                placeholder="Min, e.g. 8000"
+                aria-label="Minimum monthly budget"
+                style={inputStyle}
+              />
+              <span style={{ marginTop: "4px", color: "#777" }}>–</span>
+              <input
+                type="number"
+                min="0"
+                step="500"
+                value={budgetMax}
+                onChange={(e) => setBudgetMax(e.target.value)}
+                placeholder="Max, e.g. 12000"
+                aria-label="Maximum monthly budget"
+                style={inputStyle}
+              />
+            </div>
+            <small style={{ fontSize: "11px", color: "#777" }}>
+              Your share of rent + bills. We match you with students whose
+              range overlaps yours.
+            </small>
+          </div>
+
           {/* Profile photo */}
           <label style={{ fontSize: "13px" }}>
             Profile photo (optional)
@@ -356,8 +542,8 @@ function CreateProfile() {
               style={{ marginTop: "6px", fontSize: "12px" }}
             />
             <small style={{ fontSize: "11px", color: "#777" }}>
-              Select an image from your device. It will be saved with your
-              profile.
+              Select an image from your device. It will be resized and
+              uploaded right away.
             </small>
             {profilePhoto && (
               <div style={{ marginTop: "6px" }}>
@@ -366,7 +552,7 @@ function CreateProfile() {
                 </span>
                 <br />
                 <img
-                  src={profilePhoto}
+                  src={profilePhoto.thumbUrl}
                   alt="Profile preview"
                   style={{
                     marginTop: "4px",
@@ -380,22 +566,47 @@ function CreateProfile() {
             )}
           </label>
 
-          {/* Has house */}
-          <label
+          {/* Upload progress */}
+          {uploadingCount > 0 && (
+            <div style={{ fontSize: "12px", color: "#555555" }}>
+              Uploading {uploadingCount} photo{uploadingCount > 1 ? "s" : ""}…
+            </div>
+          )}
+
+          {/* Housing intent */}
+          <fieldset
             style={{
               fontSize: "13px",
+              border: "none",
+              padding: 0,
+              margin: 0,
               display: "flex",
-              alignItems: "center",
-              gap: "8px",
+              flexDirection: "column",
+              gap: "6px",
             }}
           >
-            <input
-              type="checkbox"
-              checked={hasHouse}
-              onChange={(e) => setHasHouse(e.target.checked)}
-            />
-            I already have a house / room to offer
-          </label>
+            <legend style={{ padding: 0, marginBottom: "4px" }}>
+              What are you looking for?
+            </legend>
+            {HOUSING_INTENTS.map((intent) => (
+              <label
+                key={intent.value}
+                style={{ display: "flex", alignItems: "center", gap: "8px" }}
+              >
+                <input
+                  type="radio"
+                  name="housingIntent"
+                  value={intent.value}
+                  checked={housingIntent === intent.value}
+                  onChange={() => setHousingIntent(intent.value)}
+                />
+                {intent.icon} {intent.label}
+              </label>
+            ))}
+            <small style={{ fontSize: "11px", color: "#777" }}>
+              {housingIntentInfo(housingIntent).hint}
+            </small>
+          </fieldset>
 
           {/* Home photos (only if hasHouse) */}
           {hasHouse && (
@@ -410,7 +621,8 @@ function CreateProfile() {
               />
               <small style={{ fontSize: "11px", color: "#777" }}>
                 You can choose one or more images. They will be shown to other
-                students.
+                students. Rent, rooms and availability go in your listing
+                (Home → 🏠 My listing).
               </small>
 
               {homePhotos.length > 0 && (
@@ -431,19 +643,41 @@ function CreateProfile() {
                       gap: "6px",
                     }}
                   >
-                    {homePhotos.map((url, idx) => (
-                      <img
-                        key={idx}
-                        src={url}
-                        alt={`Home ${idx + 1}`}
-                        style={{
-                          width: "70px",
-                          height: "50px",
-                          objectFit: "cover",
-                          borderRadius: "6px",
-                          backgroundColor: "#EEE",
-                        }}
-                      />
+                    {homePhotos.map((photo, idx) => (
+                      <div key={photo.url} style={{ position: "relative" }}>
+                        <img
+                          src={photo.thumbUrl}
+                          alt={`Home ${idx + 1}`}
+                          style={{
+                            width: "70px",
+                            height: "50px",
+                            objectFit: "cover",
+                            borderRadius: "6px",
+                            backgroundColor: "#EEE",
+                          }}
+                        />
+                        <button
+                          type="button"
+                          onClick={() => removeHomePhoto(photo.url)}
+                          aria-label={`Remove home photo ${idx + 1}`}
+                          style={{
+                            position: "absolute",
+                            top: "2px",
+                            right: "2px",
+                            width: "18px",
+                            height: "18px",
+                            borderRadius: "50%",
+                            border: "none",
+                            backgroundColor: "rgba(255,255,255,0.85)",
+                            fontSize: "10px",
+                            lineHeight: "18px",
+                            padding: 0,
+                            cursor: "pointer",
+                          }}
+                        >
+                          ✕
+                        </button>
+                      </div>
                     ))}
                   </div>
                 </div>
@@ -464,8 +698,8 @@ function CreateProfile() {
           </label>
 
           {/* Neighborhood tags */}
-          <label style={{ fontSize: "13px" }}>
-            Preferred neighborhoods
+          <div style={{ fontSize: "13px" }}>
+            <label htmlFor="neighborhood-input">Preferred neighborhoods</label>
             <div
               style={{
                 display: "flex",
@@ -475,6 +709,7 @@ function CreateProfile() {
               }}
             >
               <input
+                id="neighborhood-input"
                 type="text"
                 value={neighborhoodInput}
                 onChange={(e) => setNeighborhoodInput(e.target.value)}
@@ -490,33 +725,18 @@ function CreateProfile() {
               </button>
             </div>
             <small style={{ fontSize: "11px", color: "#777" }}>
-              Type a neighborhood and click “Add” or tap one of the suggestions
-              below.
+              Type a neighborhood and click “Add”, or tap areas on the map
+              below. Nearby areas count too when we match you.
             </small>
 
-            {/* preset neighborhood chips */}
-            <div
-              style={{
-                marginTop: "6px",
-                display: "flex",
-                flexWrap: "wrap",
-                gap: "6px",
-              }}
-            >
-              {PRESET_NEIGHBORHOODS.map((n) => (
-                <button
-                  key={n}
-                  type="button"
-                  onClick={() => addNeighborhoodTag(n)}
-                  style={presetChipStyle}
-                >
-                  {n}
-                </button>
-              ))}
-            </div>
+            {/* neighborhood map */}
+            <NeighborhoodMapPicker
+              selected={neighborhoods}
+              onToggle={toggleNeighborhood}
+            />
 
             <TagRow tags={neighborhoods} onRemove={removeNeighborhoodTag} />
-          </label>
+          </div>
 
           {/* Roommate preference tags */}
           <label style={{ fontSize: "13px" }}>
@@ -576,9 +796,135 @@ function CreateProfile() {
             />
           </label>
 
+          {/* Lifestyle questionnaire */}
+          <div style={{ fontSize: "13px" }}>
+            Your lifestyle
+            <div>
+              <small style={{ fontSize: "11px", color: "#777" }}>
+                Helps us find roommates with similar habits. Skip any question
+                you like.
+              </small>
+            </div>
+            {LIFESTYLE_QUESTIONS.map((q) => (
+              <label
+                key={q.key}
+                style={{
+                  display: "flex",
+                  alignItems: "center",
+                  justifyContent: "space-between",
+                  gap: "8px",
+                  marginTop: "6px",
+                }}
+              >
+                {q.icon} {q.label}
+                <select
+                  value={lifestyle[q.key] ?? ""}
+                  onChange={(e) => {
+                    const next = { ...lifestyle };
+                    if (e.target.value === "") delete next[q.key];
+                    else next[q.key] = Number(e.target.value);
+                    setLifestyle(next);
+                  }}
+                  style={{ ...inputStyle, width: "auto", marginTop: 0 }}
+                >
+                  <option value="">—</option>
+                  {q.options.map((o) => (
+                    <option key={o.value} value={o.value}>
+                      {q.key === "cleanliness"
+                        ? `${o.value} – ${o.label}`
+                        : o.label}
+                    </option>
+                  ))}
+                </select>
+              </label>
+            ))}
+          </div>
+
+          {/* Dealbreakers (picked from my own preferences / answers) */}
+          {dealbreakerOptions.length > 0 && (
+            <div style={{ fontSize: "13px" }}>
+              Dealbreakers
+              <div>
+                <small style={{ fontSize: "11px", color: "#777" }}>
+                  Tap a preference or answer to make it a dealbreaker: people
+                  with the opposite one (e.g. “smoker” for “non-smoker”) won’t
+                  be shown to you, and you won’t be shown to them.
+                </small>
+              </div>
+              <div
+                style={{
+                  marginTop: "6px",
+                  display: "flex",
+                  flexWrap: "wrap",
+                  gap: "6px",
+                }}
+              >
+                {dealbreakerOptions.map((p) => {
+                  const selected = dealbreakers.includes(p);
+                  return (
+                    <button
+                      key={p}
+                      type="button"
+                      onClick={() => toggleDealbreaker(p)}
+                      aria-pressed={selected}
+                      style={{
+                        ...presetChipStyle,
+                        backgroundColor: selected ? "#F8BBD0" : "#EEEEEE",
+                        fontWeight: selected ? "bold" : "normal",
+                      }}
+                    >
+                      {selected ? "🚫 " : ""}
+                      {p}
+                    </button>
+                  );
+                })}
+              </div>
+            </div>
+          )}
+
+          {/* How much each part of the match score matters */}
+          <div style={{ fontSize: "13px" }}>
+            What matters most to you?
+            <div>
+              <small style={{ fontSize: "11px", color: "#777" }}>
+                Used to rank your matches. Both people’s answers count.
+              </small>
+            </div>
+            {MATCH_DIMENSIONS.map(({ key, label }) => (
+              <label
+                key={key}
+                style={{
+                  display: "flex",
+                  alignItems: "center",
+                  justifyContent: "space-between",
+                  gap: "8px",
+                  marginTop: "6px",
+                }}
+              >
+                {label}
+                <select
+                  value={matchImportance[key]}
+                  onChange={(e) =>
+                    setMatchImportance({
+                      ...matchImportance,
+                      [key]: Number(e.target.value),
+                    })
+                  }
+                  style={{ ...inputStyle, width: "auto", marginTop: 0 }}
+                >
+                  {IMPORTANCE_LEVELS.map((level) => (
+                    <option key={level.value} value={level.value}>
+                      {level.label}
+                    </option>
+                  ))}
+                </select>
+              </label>
+            ))}
+          </div>
+
           <button
             type="submit"
-            disabled={saving}
+            disabled={saving || uploadingCount > 0}
             style={{
               marginTop: "8px",
               padding: "10px",
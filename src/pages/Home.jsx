@@ -5,60 +5,60 @@
 // Shows:
 //   - Welcome message with student's name
 //   - Quick summary of match preferences
+//   - Active mode (housing intent) + buttons to switch it
 //   - Buttons:
 //        🔍 Find roommates   → /swipe
 //        💜 View matches     → /matches
 //        💬 Messages         → /messages
+//        🏠 My listing       → /listing (only if I have a place)
 //        👤 View my profile  → /profile
 //        🚪 Log out          → /
 // ----------------------------------------------------------
 
-import React, { useEffect, useState } from "react";
+import React, { useState } from "react";
 import { useNavigate } from "react-router-dom";
 import { auth, db } from "../firebase";
-import { doc, getDoc } from "firebase/firestore";
 import { signOut } from "firebase/auth";
+import { doc, setDoc } from "firebase/firestore";
+import { useAuth } from "../context/AuthContext";
+import { formatBudget } from "../utils/budget";
+import {
+  HOUSING_INTENTS,
+  getHousingIntent,
+  housingIntentFields,
+  housingIntentInfo,
+} from "../utils/housingIntent";
 
 function Home() {
   const navigate = useNavigate();
 
-  // Store the logged-in user's profile from Firestore
-  const [profile, setProfile] = useState(null);
+  // The logged-in user's profile (kept live by <AuthProvider>).
+  // <ProtectedRoute> only renders this page once it exists.
+  const { user, profile } = useAuth();
+  const budgetText = profile ? formatBudget(profile) : "";
+  const intent = getHousingIntent(profile);
+  const [switchingMode, setSwitchingMode] = useState(false);
+  const [modeError, setModeError] = useState("");
 
-  // Loading + error states
-  const [loading, setLoading] = useState(true);
-  const [errorMsg, setErrorMsg] = useState("");
-
-  // Load profile when page opens
-  useEffect(() => {
-    const loadProfile = async () => {
-      try {
-        // If there is no logged-in user, go back to auth page
-        if (!auth.currentUser) {
-          navigate("/");
-          return;
-        }
-
-        const uid = auth.currentUser.uid;
-        const userRef = doc(db, "users", uid);
-        const snap = await getDoc(userRef);
-
-        if (!snap.exists()) {
-          setErrorMsg("We couldn't find your profile. Please create it first.");
-          // You could also navigate("/create-profile") here if you want
-        } else {
-          setProfile(snap.data());
-        }
-      } catch (err) {
-        console.error("Error loading profile:", err);
-        setErrorMsg("Could not load your profile.");
-      } finally {
-        setLoading(false);
-      }
-    };
-
-    loadProfile();
-  }, [navigate]);
+  // Switch housing intent (the swipe deck uses it next time it loads).
+  // <AuthProvider> keeps the profile live, so the card updates itself.
+  const handleSwitchMode = async (nextIntent) => {
+    if (nextIntent === intent || switchingMode) return;
+    setSwitchingMode(true);
+    setModeError("");
+    try {
+      await setDoc(
+        doc(db, "users", user.uid),
+        housingIntentFields(nextIntent),
+        { merge: true }
+      );
+    } catch (err) {
+      console.error("Error switching mode:", err);
+      setModeError("Could not switch mode. Please try again.");
+    } finally {
+      setSwitchingMode(false);
+    }
+  };
 
   // Go to swipe / matching page
   const handleFindRoommates = () => {
@@ -78,23 +78,6 @@ function Home() {
 
   // --------------- RENDER ---------------
 
-  if (loading) {
-    return (
-      <div
-        style={{
-          minHeight: "100vh",
-          backgroundColor: "#FFF8E1",
-          display: "flex",
-          justifyContent: "center",
-          alignItems: "center",
-          fontFamily: "Arial, sans-serif",
-        }}
-      >
-        Loading your home…
-      </div>
-    );
-  }
-
   return (
     <div
       style={{
@@ -139,21 +122,6 @@ function Home() {
           roommates, see your matches, chat, and manage your profile.
         </p>
 
-        {/* Error message, if any */}
-        {errorMsg && (
-          <div
-            style={{
-              backgroundColor: "#FFD54F",
-              padding: "10px",
-              borderRadius: "8px",
-              marginBottom: "12px",
-              fontSize: "14px",
-            }}
-          >
-            {errorMsg}
-          </div>
-        )}
-
         {/* Quick summary card (only if profile exists) */}
         {profile && (
           <div
@@ -175,6 +143,55 @@ function Home() {
               Your match preferences
             </div>
 
+            {/* Active mode + switch */}
+            <div style={{ fontSize: "12px", marginBottom: "8px" }}>
+              <span style={{ fontWeight: "bold" }}>Mode: </span>
+              {housingIntentInfo(intent).icon} {housingIntentInfo(intent).label}
+              <div
+                style={{
+                  display: "flex",
+                  flexWrap: "wrap",
+                  gap: "6px",
+                  marginTop: "6px",
+                }}
+              >
+                {HOUSING_INTENTS.map((option) => (
+                  <button
+                    key={option.value}
+                    type="button"
+                    onClick={() => handleSwitchMode(option.value)}
+                    disabled={switchingMode}
+                    aria-pressed={option.value === intent}
+                    style={{
+                      padding: "4px 10px",
+                      borderRadius: "999px",
+                      border: "1px solid #C8D5B9",
+                      backgroundColor:
+                        option.value === intent ? "#C8D5B9" : "#FFFFFF",
+                      fontSize: "12px",
+                      color: "#333333",
+                      cursor: switchingMode ? "default" : "pointer",
+                    }}
+                  >
+                    {option.icon} {option.badge}
+                  </button>
+                ))}
+              </div>
+              <div
+                style={{ fontSize: "11px", color: "#777", marginTop: "4px" }}
+              >
+                {modeError || housingIntentInfo(intent).hint}
+              </div>
+            </div>
+
+            {/* Budget range */}
+            {budgetText && (
+              <div style={{ fontSize: "12px", marginBottom: "8px" }}>
+                <span style={{ fontWeight: "bold" }}>Budget: </span>
+                {budgetText} / month
+              </div>
+            )}
+
             {/* Neighborhoods */}
             {profile.neighborhoods && profile.neighborhoods.length > 0 && (
               <div style={{ marginBottom: "8px" }}>
@@ -260,6 +277,24 @@ function Home() {
             💬 Messages
           </button>
 
+          {intent === "offering" && (
+            <button
+              type="button"
+              onClick={() => navigate("/listing")}
+              style={{
+                padding: "12px",
+                width: "100%",
+                backgroundColor: "#F7F2E7",
+                border: "none",
+                borderRadius: "999px",
+                fontWeight: "bold",
+                cursor: "pointer",
+              }}
+            >
+              🏠 My listing
+            </button>
+          )}
+
           <button
             type="button"
             onClick={() => navigate("/profile")}
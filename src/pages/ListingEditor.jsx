@@ -0,0 +1,434 @@
+// ----------------------------------------------------------
+// ListingEditor.jsx
+//
+// Create / edit / remove MY room listing (listings/{myUid}),
+// separate from the personal profile. See utils/listings.js.
+//
+// - Rent (+ bills included?), area, free rooms / total rooms,
+//   available from, furnishing, minimum stay
+// - Saving also switches my profile to "I have a room"
+//   (housingIntent "offering" + hasHouse)
+// - Home photos are still added on the profile page
+// URL: /listing
+// ----------------------------------------------------------
+
+import React, { useEffect, useState } from "react";
+import { useNavigate } from "react-router-dom";
+import { db } from "../firebase";
+import { doc, setDoc } from "firebase/firestore";
+import { useAuth } from "../context/AuthContext";
+import {
+  getHousingIntent,
+  housingIntentFields,
+} from "../utils/housingIntent";
+import {
+  FURNISHING_OPTIONS,
+  LEASE_OPTIONS,
+  deleteListing,
+  loadListing,
+  saveListing,
+} from "../utils/listings";
+
+// Empty form (numbers are kept as strings while typing)
+const EMPTY_FORM = {
+  rent: "",
+  billsIncluded: false,
+  area: "",
+  roomsAvailable: "1",
+  totalRooms: "",
+  availableFrom: "",
+  furnishing: "",
+  leaseMonths: "",
+};
+
+// Saved listing → form values
+function toForm(listing) {
+  return {
+    rent: listing.rent ?? "",
+    billsIncluded: Boolean(listing.billsIncluded),
+    area: listing.area || "",
+    roomsAvailable: listing.roomsAvailable ?? "",
+    totalRooms: listing.totalRooms ?? "",
+    availableFrom: listing.availableFrom || "",
+    furnishing: listing.furnishing || "",
+    leaseMonths: listing.leaseMonths ?? "",
+  };
+}
+
+function ListingEditor() {
+  const navigate = useNavigate();
+  const { user, profile } = useAuth();
+  const myUid = user.uid;
+
+  // New listings start in my first preferred neighborhood
+  const [form, setForm] = useState(() => ({
+    ...EMPTY_FORM,
+    area: profile?.neighborhoods?.[0] || "",
+  }));
+  const [hasListing, setHasListing] = useState(false);
+  const [loading, setLoading] = useState(true);
+  const [saving, setSaving] = useState(false);
+  const [errorMsg, setErrorMsg] = useState("");
+
+  // Load my existing listing (if any)
+  useEffect(() => {
+    const load = async () => {
+      try {
+        const listing = await loadListing(myUid);
+        if (listing) {
+          setHasListing(true);
+          setForm(toForm(listing));
+        }
+      } catch (err) {
+        console.error("Error loading listing:", err);
+        setErrorMsg("Could not load your listing.");
+      } finally {
+        setLoading(false);
+      }
+    };
+
+    load();
+  }, [myUid]);
+
+  // Update one form field
+  const setField = (key, value) => {
+    setForm((prev) => ({ ...prev, [key]: value }));
+  };
+
+  const handleSave = async (e) => {
+    e.preventDefault();
+    setErrorMsg("");
+
+    if (form.rent === "" || Number(form.rent) < 0) {
+      setErrorMsg("Please enter the monthly rent for the room.");
+      return;
+    }
+    if (!form.area.trim()) {
+      setErrorMsg("Please enter the neighborhood of your place.");
+      return;
+    }
+    if (
+      form.totalRooms !== "" &&
+      form.roomsAvailable !== "" &&
+      Number(form.roomsAvailable) > Number(form.totalRooms)
+    ) {
+      setErrorMsg("Free rooms can't be more than the rooms in the flat.");
+      return;
+    }
+
+    try {
+      setSaving(true);
+      await saveListing(myUid, form);
+
+      // A listing means I have a room to offer
+      if (getHousingIntent(profile) !== "offering") {
+        await setDoc(doc(db, "users", myUid), housingIntentFields("offering"), {
+          merge: true,
+        });
+      }
+
+      alert("Listing saved!");
+      navigate("/home");
+    } catch (err) {
+      console.error("Error saving listing:", err);
+      setErrorMsg("Could not save your listing. Please try again.");
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  const handleDelete = async () => {
+    if (!window.confirm("Remove your listing? Your profile stays.")) return;
+
+    try {
+      setSaving(true);
+      await deleteListing(myUid);
+      setHasListing(false);
+      setForm(EMPTY_FORM);
+      setErrorMsg("Your listing was removed.");
+    } catch (err) {
+      console.error("Error removing listing:", err);
+      setErrorMsg("Could not remove your listing. Please try again.");
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  // --------------- RENDER ---------------
+
+  if (loading) {
+    return (
+      <div
+        style={{
+          minHeight: "100vh",
+          backgroundColor: "#FFF8E1",
+          display: "flex",
+          justifyContent: "center",
+          alignItems: "center",
+          fontFamily: "Arial, sans-serif",
+        }}
+      >
+        Loading your listing…
+      </div>
+    );
+  }
+
+  return (
+    <div
+      style={{
+        minHeight: "100vh",
+        backgroundColor: "#FFF8E1", // Gin Fizz
+        display: "flex",
+        justifyContent: "center",
+        alignItems: "center",
+        padding: "24px 16px",
+        fontFamily: "Arial, sans-serif",
+      }}
+    >
+      <div
+        style={{
+          width: "100%",
+          maxWidth: "520px",
+          backgroundColor: "#FFFFFF",
+          borderRadius: "20px",
+          padding: "20px 20px 24px",
+          boxShadow: "0 6px 18px rgba(0,0,0,0.08)",
+        }}
+      >
+        <h1
+          style={{
+            margin: "0 0 6px",
+            fontSize: "22px",
+            color: "#333333",
+          }}
+        >
+          {hasListing ? "Edit your listing" : "List your place"} 🏠
+        </h1>
+        <p
+          style={{
+            margin: "0 0 16px",
+            fontSize: "14px",
+            color: "#555555",
+          }}
+        >
+          Describe the room you’re offering. Students looking for a place can
+          filter by these details. Add home photos on your profile.
+        </p>
+
+        {errorMsg && (
+          <div
+            style={{
+              backgroundColor: "#FFD54F",
+              padding: "10px",
+              borderRadius: "10px",
+              marginBottom: "12px",
+              fontSize: "14px",
+            }}
+          >
+            {errorMsg}
+          </div>
+        )}
+
+        <form
+          onSubmit={handleSave}
+          style={{ display: "flex", flexDirection: "column", gap: "12px" }}
+        >
+          {/* Rent */}
+          <label style={{ fontSize: "13px" }}>
+            Monthly rent for the room (₺)
+            <input
+              type="number"
+              min="0"
+              step="50"
+              value={form.rent}
+              onChange={(e) => setField("rent", e.target.value)}
+              placeholder="e.g. 9000"
+              style={inputStyle}
+              required
+            />
+          </label>
+
+          <label style={checkboxLabelStyle}>
+            <input
+              type="checkbox"
+              checked={form.billsIncluded}
+              onChange={(e) => setField("billsIncluded", e.target.checked)}
+            />
+            Bills (electricity, water, gas, internet) are included
+          </label>
+
+          {/* Area */}
+          <label style={{ fontSize: "13px" }}>
+            Neighborhood
+            <input
+              type="text"
+              list="listing-areas"
+              value={form.area}
+              onChange={(e) => setField("area", e.target.value)}
+              placeholder="e.g. Kolej"
+              maxLength={60}
+              style={inputStyle}
+              required
+            />
+            <datalist id="listing-areas">
+              {(profile?.neighborhoods || []).map((n) => (
+                <option key={n} value={n} />
+              ))}
+            </datalist>
+          </label>
+
+          {/* Rooms */}
+          <div style={{ display: "flex", gap: "8px" }}>
+            <label style={{ fontSize: "13px", flex: 1 }}>
+              Free rooms
+              <input
+                type="number"
+                min="1"
+                value={form.roomsAvailable}
+                onChange={(e) => setField("roomsAvailable", e.target.value)}
+                style={inputStyle}
+              />
+            </label>
+            <label style={{ fontSize: "13px", flex: 1 }}>
+              Bedrooms in the flat
+              <input
+                type="number"
+                min="1"
+                value={form.totalRooms}
+                onChange={(e) => setField("totalRooms", e.target.value)}
+                placeholder="e.g. 3 for a 3+1"
+                style={inputStyle}
+              />
+            </label>
+          </div>
+
+          {/* Availability */}
+          <label style={{ fontSize: "13px" }}>
+            Available from
+            <input
+              type="date"
+              value={form.availableFrom}
+              onChange={(e) => setField("availableFrom", e.target.value)}
+              style={inputStyle}
+            />
+            <small style={{ fontSize: "11px", color: "#777" }}>
+              Leave empty if the room is free right now.
+            </small>
+          </label>
+
+          {/* Furnishing */}
+          <label style={{ fontSize: "13px" }}>
+            Furnishing
+            <select
+              value={form.furnishing}
+              onChange={(e) => setField("furnishing", e.target.value)}
+              style={inputStyle}
+            >
+              <option value="">Choose...</option>
+              {FURNISHING_OPTIONS.map((o) => (
+                <option key={o.value} value={o.value}>
+                  {o.label}
+                </option>
+              ))}
+            </select>
+          </label>
+
+          {/* Lease length */}
+          <label style={{ fontSize: "13px" }}>
+            Minimum stay
+            <select
+              value={form.leaseMonths}
+              onChange={(e) => setField("leaseMonths", e.target.value)}
+              style={inputStyle}
+            >
+              {LEASE_OPTIONS.map((o) => (
+                <option key={o.label} value={o.value ?? ""}>
+                  {o.label}
+                </option>
+              ))}
+            </select>
+          </label>
+
+          <button
+            type="submit"
+            disabled={saving}
+            style={{
+              marginTop: "4px",
+              padding: "12px",
+              width: "100%",
+              backgroundColor: "#C8D5B9", // Coriander
+              border: "none",
+              borderRadius: "999px",
+              fontWeight: "bold",
+              cursor: "pointer",
+            }}
+          >
+            {saving ? "Saving…" : "Save listing"}
+          </button>
+        </form>
+
+        {hasListing && (
+          <button
+            type="button"
+            onClick={handleDelete}
+            disabled={saving}
+            style={{
+              marginTop: "10px",
+              padding: "10px",
+              width: "100%",
+              backgroundColor: "#FFFFFF",
+              borderRadius: "999px",
+              border: "1px solid #E5B5AE",
+              fontWeight: "bold",
+              cursor: "pointer",
+              fontSize: "14px",
+              color: "#C0554A",
+            }}
+          >
+            Remove listing
+          </button>
+        )}
+
+        <button
+          type="button"
+          onClick={() => navigate("/home")}
+          style={{
+            marginTop: "10px",
+            padding: "10px",
+            width: "100%",
+            backgroundColor: "#FFFFFF",
+            borderRadius: "999px",
+            border: "1px solid #D7CCC8",
+            fontWeight: "bold",
+            cursor: "pointer",
+            fontSize: "14px",
+            color: "#333333",
+          }}
+        >
+          ⬅ Back to main page
+        </button>
+      </div>
+    </div>
+  );
+}
+
+const inputStyle = {
+  width: "100%",
+  marginTop: "4px",
+  padding: "10px",
+  borderRadius: "10px",
+  border: "1px solid #D7CCC8",
+  fontSize: "14px",
+  backgroundColor: "#FFFFFF",
+  color: "#333333",
+  boxSizing: "border-box",
+};
+
+const checkboxLabelStyle = {
+  fontSize: "13px",
+  display: "flex",
+  alignItems: "center",
+  gap: "8px",
+};
+
+export default ListingEditor;
@@ -1,103 +1,50 @@
 // ----------------------------------------------------------
 // Matches.jsx
 //
-// Shows mutual matches:
-//   - You liked them  (likes.fromUid == currentUser.uid)
-//   - They liked you  (likes.toUid == currentUser.uid)
+// Shows mutual matches (you liked them AND they liked you).
 //
 // Steps:
-//   1) Load all likes where fromUid = me  → myLikes
-//   2) Load all likes where toUid = me    → likesMe
-//   3) Find intersection of user IDs
-//   4) Load those users' profiles from "users" collection
-//   5) Display them in a nice centered card
-//   6) NEW: Show "has house" badge + home photo preview
+//   1) Load matches/{pairId} where users contains me
+//      (written by the createMatchOnLike Cloud Function)
+//   2) Load those users' profiles from "users" in one batch
+//   3) Display them in a nice centered card, newest match first
+//   4) Show housing intent badge + home photo preview + room listing
+//   5) Unmatch / Report / Block on each card (the student disappears
+//      from the list)
 // ----------------------------------------------------------
 
 import React, { useEffect, useState } from "react";
 import { useNavigate } from "react-router-dom";
-import { auth, db } from "../firebase";
-import {
-  collection,
-  query,
-  where,
-  getDocs,
-  doc,
-  getDoc,
-} from "firebase/firestore";
+import { useAuth } from "../context/AuthContext";
+import { loadMatchedProfiles, unmatchUser } from "../utils/matches";
+import { blockUser } from "../utils/safety";
+import { attachListings } from "../utils/listings";
+import ListingDetails from "../components/ListingDetails.jsx";
+import { getHousingIntent, housingIntentInfo } from "../utils/housingIntent";
+import ReportDialog from "../components/ReportDialog.jsx";
+import SafetyActions from "../components/SafetyActions.jsx";
 
 function Matches() {
   const navigate = useNavigate();
+  const { user } = useAuth();
+  const myUid = user.uid;
 
   const [matches, setMatches] = useState([]); // list of profiles
   const [loading, setLoading] = useState(true); // loading state
   const [errorMsg, setErrorMsg] = useState(""); // error / info text
+  const [reportTarget, setReportTarget] = useState(null); // profile or null
 
   useEffect(() => {
     const loadMatches = async () => {
       try {
-        // 1) Must be logged in
-        if (!auth.currentUser) {
-          navigate("/");
-          return;
-        }
-
-        const myUid = auth.currentUser.uid;
-
-        // 2) Load likes I sent
-        const likesRef = collection(db, "likes");
-        const myLikesQuery = query(likesRef, where("fromUid", "==", myUid));
-        const myLikesSnap = await getDocs(myLikesQuery);
-
-        const iLikedSet = new Set();
-        myLikesSnap.forEach((docSnap) => {
-          const data = docSnap.data();
-          if (data.toUid) {
-            iLikedSet.add(data.toUid);
-          }
-        });
-
-        // 3) Load likes sent to me
-        const likesMeQuery = query(likesRef, where("toUid", "==", myUid));
-        const likesMeSnap = await getDocs(likesMeQuery);
-
-        const likedMeSet = new Set();
-        likesMeSnap.forEach((docSnap) => {
-          const data = docSnap.data();
-          if (data.fromUid) {
-            likedMeSet.add(data.fromUid);
-          }
-        });
-
-        // 4) Intersection: IDs that are in both sets
-        const mutualIds = [...iLikedSet].filter((uid) => likedMeSet.has(uid));
-
-        if (mutualIds.length === 0) {
-          setMatches([]);
-          setErrorMsg(
-            "No mutual matches yet. Keep swiping and connecting with students!"
-          );
-          return;
-        }
-
-        // 5) Load profile for each matched user
-        const results = [];
-        for (const uid of mutualIds) {
-          const userRef = doc(db, "users", uid);
-          const snap = await getDoc(userRef);
-          if (snap.exists()) {
-            results.push({
-              id: uid,
-              ...snap.data(),
-            });
-          }
-        }
-
+        // One indexed query on matches/{pairId} + one batch of profiles
+        // (+ room listings of matches who have a place)
+        const results = await attachListings(await loadMatchedProfiles(myUid));
         setMatches(results);
 
         if (results.length === 0) {
           setErrorMsg(
-            "You have some likes, but we couldn't load the other profiles."
+            "No mutual matches yet. Keep swiping and connecting with students!"
           );
         }
       } catch (err) {
@@ -109,7 +56,52 @@ function Matches() {
     };
 
     loadMatches();
-  }, [navigate]);
+  }, [myUid]);
+
+  // Hide an unmatched / blocked student from the list
+  const removeMatch = (uid) => {
+    setMatches((prev) => prev.filter((m) => m.id !== uid));
+  };
+
+  const handleUnmatch = async (profile) => {
+    const name = profile.name || "this student";
+    if (
+      !window.confirm(
+        `Unmatch ${name}? Your chat will be archived for both of you.`
+      )
+    ) {
+      return;
+    }
+
+    try {
+      await unmatchUser(myUid, profile.id);
+      removeMatch(profile.id);
+      setErrorMsg(`You unmatched ${name}.`);
+    } catch (err) {
+      console.error("Error unmatching:", err);
+      setErrorMsg("Could not unmatch. Please try again.");
+    }
+  };
+
+  const handleBlock = async (profile) => {
+    const name = profile.name || "this student";
+    if (
+      !window.confirm(
+        `Block ${name}? You won't see each other anywhere in the app.`
+      )
+    ) {
+      return;
+    }
+
+    try {
+      await blockUser(myUid, profile.id);
+      removeMatch(profile.id);
+      setErrorMsg(`You blocked ${name}.`);
+    } catch (err) {
+      console.error("Error blocking user:", err);
+      setErrorMsg("Could not block this student. Please try again.");
+    }
+  };
 
   // ---------- RENDER ----------
 
@@ -212,7 +204,13 @@ function Matches() {
             }}
           >
             {matches.map((m) => (
-              <MatchCard key={m.id} profile={m} />
+              <MatchCard
+                key={m.id}
+                profile={m}
+                onUnmatch={() => handleUnmatch(m)}
+                onReport={() => setReportTarget(m)}
+                onBlock={() => handleBlock(m)}
+              />
             ))}
           </div>
         )}
@@ -235,18 +233,34 @@ function Matches() {
           ⬅ Back to main page
         </button>
       </div>
+
+      {reportTarget && (
+        <ReportDialog
+          reporterUid={myUid}
+          reportedUid={reportTarget.id}
+          reportedName={reportTarget.name}
+          source="match"
+          onClose={() => setReportTarget(null)}
+          onDone={({ blocked }) => {
+            if (blocked) removeMatch(reportTarget.id);
+            setErrorMsg("Thanks for reporting. We'll take a look.");
+            setReportTarget(null);
+          }}
+        />
+      )}
     </div>
   );
 }
 
-// A single match row card (avatar + summary + home photo)
-function MatchCard({ profile }) {
+// A single match row card (avatar + summary + home photo + safety links)
+function MatchCard({ profile, onUnmatch, onReport, onBlock }) {
   const hasPhoto = !!profile.profilePhoto;
   const firstLetter = profile.name
     ? profile.name.charAt(0).toUpperCase()
     : "U";
 
   const hasHouse = Boolean(profile.hasHouse);
+  const intent = housingIntentInfo(getHousingIntent(profile));
   const homePhotos =
     Array.isArray(profile.homePhotos) && profile.homePhotos.length > 0
       ? profile.homePhotos
@@ -274,7 +288,7 @@ function MatchCard({ profile }) {
         {/* Avatar */}
         {hasPhoto ? (
           <img
-            src={profile.profilePhoto}
+            src={profile.profilePhotoThumb || profile.profilePhoto}
             alt={profile.name}
             style={{
               width: "56px",
@@ -352,23 +366,21 @@ function MatchCard({ profile }) {
               </div>
             )}
 
-          {/* Has house badge */}
-          {hasHouse && (
-            <div
-              style={{
-                marginTop: "4px",
-                display: "inline-block",
-                padding: "3px 8px",
-                borderRadius: "999px",
-                backgroundColor: "#C8D5B9",
-                fontSize: "11px",
-                fontWeight: "bold",
-                color: "#333333",
-              }}
-            >
-              🏠 Has a place
-            </div>
-          )}
+          {/* Housing intent badge */}
+          <div
+            style={{
+              marginTop: "4px",
+              display: "inline-block",
+              padding: "3px 8px",
+              borderRadius: "999px",
+              backgroundColor: "#C8D5B9",
+              fontSize: "11px",
+              fontWeight: "bold",
+              color: "#333333",
+            }}
+          >
+            {intent.icon} {intent.badge}
+          </div>
         </div>
       </div>
 
@@ -386,6 +398,15 @@ function MatchCard({ profile }) {
           }}
         />
       )}
+
+      {/* Room listing */}
+      {hasHouse && <ListingDetails listing={profile.listing} />}
+
+      <SafetyActions
+        onUnmatch={onUnmatch}
+        onReport={onReport}
+        onBlock={onBlock}
+      />
     </div>
   );
 }
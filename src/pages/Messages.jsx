@@ -2,90 +2,63 @@
 // Messages.jsx
 //
 // Shows a list of people you have mutual likes with
-// (same logic as Matches page), but focused on starting chats:
-//   - You liked them
-//   - They liked you back
-// Each row has a "Chat" button → /chat/:uid
+// (same matches/{pairId} query as the Matches page),
+// but focused on chats:
+//   - live chat list (chats where participants contain me),
+//     most recent conversation first
+//   - last message preview + time
+//   - unread badge per chat + total unread in the title
+// (New messages are marked "delivered" app-wide by AuthProvider.)
+// Each row has a "Chat" button → /chat/:uid and an "Unmatch" link.
+// Chats archived by an unmatch (either side) disappear from the list.
 // ----------------------------------------------------------
 
 import React, { useEffect, useState } from "react";
 import { useNavigate } from "react-router-dom";
-import { auth, db } from "../firebase";
-import {
-  collection,
-  query,
-  where,
-  getDocs,
-  doc,
-  getDoc,
-} from "firebase/firestore";
+import { useAuth } from "../context/AuthContext";
+import { loadMatchedProfiles, unmatchUser } from "../utils/matches";
+import { subscribeToMyChats, unreadCountFor } from "../utils/chats";
+
+// Milliseconds for a Firestore Timestamp (or 0)
+function toMillis(timestamp) {
+  return timestamp?.toMillis?.() ?? 0;
+}
+
+// "14:05" today, "Mon" this week, "12 Mar" before that
+function formatChatTime(timestamp) {
+  if (!timestamp?.toDate) return "";
+  const date = timestamp.toDate();
+  const now = new Date();
+
+  if (date.toDateString() === now.toDateString()) {
+    return date.toLocaleTimeString([], { hour: "2-digit", minute: "2-digit" });
+  }
+  if (now - date < 6 * 24 * 60 * 60 * 1000) {
+    return date.toLocaleDateString([], { weekday: "short" });
+  }
+  return date.toLocaleDateString([], { day: "numeric", month: "short" });
+}
 
 function Messages() {
   const navigate = useNavigate();
+  const { user } = useAuth();
+  const myUid = user.uid;
 
   const [matches, setMatches] = useState([]); // mutual match profiles
+  const [chats, setChats] = useState([]); // my chats/{chatId} docs (live)
   const [loading, setLoading] = useState(true);
   const [errorMsg, setErrorMsg] = useState("");
 
   useEffect(() => {
     const loadMatches = async () => {
       try {
-        // Must be logged in
-        if (!auth.currentUser) {
-          navigate("/");
-          return;
-        }
-
-        const myUid = auth.currentUser.uid;
-
-        // 1) Likes I sent
-        const likesRef = collection(db, "likes");
-        const iLikedQuery = query(likesRef, where("fromUid", "==", myUid));
-        const iLikedSnap = await getDocs(iLikedQuery);
-        const iLikedSet = new Set();
-        iLikedSnap.forEach((docSnap) => {
-          const data = docSnap.data();
-          if (data.toUid) iLikedSet.add(data.toUid);
-        });
-
-        // 2) Likes sent to me
-        const likedMeQuery = query(likesRef, where("toUid", "==", myUid));
-        const likedMeSnap = await getDocs(likedMeQuery);
-        const likedMeSet = new Set();
-        likedMeSnap.forEach((docSnap) => {
-          const data = docSnap.data();
-          if (data.fromUid) likedMeSet.add(data.fromUid);
-        });
-
-        // 3) Mutual matches = intersection of both sets
-        const mutualIds = [...iLikedSet].filter((uid) => likedMeSet.has(uid));
-
-        if (mutualIds.length === 0) {
-          setMatches([]);
-          setErrorMsg(
-            "No mutual matches yet. Keep connecting with students on the swipe page."
-          );
-          return;
-        }
-
-        // 4) Load each matched user's profile
-        const results = [];
-        for (const uid of mutualIds) {
-          const userRef = doc(db, "users", uid);
-          const snap = await getDoc(userRef);
-          if (snap.exists()) {
-            results.push({
-              id: uid,
-              ...snap.data(),
-            });
-          }
-        }
-
+        // One indexed query on matches/{pairId} + one batch of profiles
+        const results = await loadMatchedProfiles(myUid);
         setMatches(results);
 
         if (results.length === 0) {
           setErrorMsg(
-            "You have some likes, but we couldn't load the other profiles."
+            "No mutual matches yet. Keep connecting with students on the swipe page."
           );
         }
       } catch (err) {
@@ -97,7 +70,51 @@ function Messages() {
     };
 
     loadMatches();
-  }, [navigate]);
+  }, [myUid]);
+
+  // Live chat list: previews, unread counts and ordering update instantly
+  useEffect(() => {
+    const unsubscribe = subscribeToMyChats(myUid, setChats, () =>
+      setErrorMsg("Could not load your latest messages.")
+    );
+    return unsubscribe;
+  }, [myUid]);
+
+  const handleUnmatch = async (profile) => {
+    const name = profile.name || "this student";
+    if (
+      !window.confirm(
+        `Unmatch ${name}? Your chat will be archived for both of you.`
+      )
+    ) {
+      return;
+    }
+
+    try {
+      await unmatchUser(myUid, profile.id);
+      setMatches((prev) => prev.filter((m) => m.id !== profile.id));
+    } catch (err) {
+      console.error("Error unmatching:", err);
+      setErrorMsg("Could not unmatch. Please try again.");
+    }
+  };
+
+  // One row per match, with its chat (if any messages were sent yet),
+  // most recent activity first (last message, or when we matched)
+  const chatsByUid = new Map(chats.map((c) => [c.otherUid, c]));
+  const rows = matches
+    .map((m) => ({ profile: m, chat: chatsByUid.get(m.id) || null }))
+    .filter((r) => !r.chat?.archived)
+    .sort(
+      (a, b) =>
+        (toMillis(b.chat?.updatedAt) || toMillis(b.profile.matchedAt)) -
+        (toMillis(a.chat?.updatedAt) || toMillis(a.profile.matchedAt))
+    );
+
+  const totalUnread = rows.reduce(
+    (sum, r) => sum + unreadCountFor(r.chat, myUid),
+    0
+  );
 
   if (loading) {
     return (
@@ -146,6 +163,12 @@ function Messages() {
           }}
         >
           Messages 💬
+          {totalUnread > 0 && (
+            <span style={{ fontSize: "14px", color: "#C0554A" }}>
+              {" "}
+              ({totalUnread} unread)
+            </span>
+          )}
         </h1>
 
         <p
@@ -155,8 +178,8 @@ function Messages() {
             color: "#555555",
           }}
         >
-          These are your mutual matches. Tap "Chat" to start a conversation
-          about living together.
+          Your conversations with mutual matches, newest first. Tap "Chat" to
+          talk about living together.
         </p>
 
         {errorMsg && (
@@ -173,7 +196,7 @@ function Messages() {
           </div>
         )}
 
-        {matches.length === 0 ? (
+        {rows.length === 0 ? (
           <div
             style={{
               padding: "16px",
@@ -197,11 +220,14 @@ function Messages() {
               marginBottom: "16px",
             }}
           >
-            {matches.map((m) => (
+            {rows.map(({ profile, chat }) => (
               <MatchRow
-                key={m.id}
-                profile={m}
-                onOpenChat={() => navigate(`/chat/${m.id}`)}
+                key={profile.id}
+                profile={profile}
+                chat={chat}
+                myUid={myUid}
+                onOpenChat={() => navigate(`/chat/${profile.id}`)}
+                onUnmatch={() => handleUnmatch(profile)}
               />
             ))}
           </div>
@@ -229,12 +255,22 @@ function Messages() {
   );
 }
 
-// A single row for a match with a Chat button
-function MatchRow({ profile, onOpenChat }) {
+// A single row for a match: last message preview, unread badge,
+// a Chat button and an Unmatch link
+function MatchRow({ profile, chat, myUid, onOpenChat, onUnmatch }) {
   const hasPhoto = !!profile.profilePhoto;
   const firstLetter = profile.name
     ? profile.name.charAt(0).toUpperCase()
     : "U";
+  const unread = unreadCountFor(chat, myUid);
+
+  let preview = "New match, say hi! 👋";
+  if (chat?.lastMessage) {
+    preview =
+      chat.lastSenderUid === myUid
+        ? `You: ${chat.lastMessage}`
+        : chat.lastMessage;
+  }
 
   return (
     <div
@@ -250,7 +286,7 @@ function MatchRow({ profile, onOpenChat }) {
       {/* Avatar */}
       {hasPhoto ? (
         <img
-          src={profile.profilePhoto}
+          src={profile.profilePhotoThumb || profile.profilePhoto}
           alt={profile.name}
           style={{
             width: "56px",
@@ -279,45 +315,105 @@ function MatchRow({ profile, onOpenChat }) {
       )}
 
       {/* Info */}
-      <div style={{ flex: 1 }}>
+      <div style={{ flex: 1, minWidth: 0 }}>
         <div
           style={{
-            fontSize: "16px",
-            fontWeight: "bold",
-            color: "#333333",
+            display: "flex",
+            justifyContent: "space-between",
+            alignItems: "baseline",
+            gap: "6px",
           }}
         >
-          {profile.name || "Unnamed student"}
+          <span
+            style={{
+              fontSize: "16px",
+              fontWeight: "bold",
+              color: "#333333",
+            }}
+          >
+            {profile.name || "Unnamed student"}
+          </span>
+          {chat?.updatedAt && (
+            <span style={{ fontSize: "11px", color: "#777777" }}>
+              {formatChatTime(chat.updatedAt)}
+            </span>
+          )}
         </div>
         <div
           style={{
             fontSize: "13px",
-            color: "#555555",
+            color: unread > 0 ? "#333333" : "#555555",
+            fontWeight: unread > 0 ? "bold" : "normal",
             marginTop: "2px",
+            whiteSpace: "nowrap",
+            overflow: "hidden",
+            textOverflow: "ellipsis",
           }}
         >
-          {profile.age && profile.gender
-            ? `${profile.age} • ${profile.gender}`
-            : profile.age || profile.gender || "Student"}
+          {preview}
         </div>
       </div>
 
-      {/* Chat button */}
-      <button
-        type="button"
-        onClick={onOpenChat}
+      {/* Unread badge */}
+      {unread > 0 && (
+        <span
+          style={{
+            minWidth: "20px",
+            height: "20px",
+            padding: "0 6px",
+            borderRadius: "999px",
+            backgroundColor: "#C0554A",
+            color: "#FFFFFF",
+            fontSize: "11px",
+            fontWeight: "bold",
+            display: "flex",
+            alignItems: "center",
+            justifyContent: "center",
+          }}
+        >
+          {unread > 99 ? "99+" : unread}
+        </span>
+      )}
+
+      {/* Chat button + Unmatch link */}
+      <div
         style={{
-          padding: "8px 12px",
-          borderRadius: "999px",
-          border: "none",
-          backgroundColor: "#C8D5B9",
-          fontSize: "13px",
-          fontWeight: "bold",
-          cursor: "pointer",
+          display: "flex",
+          flexDirection: "column",
+          alignItems: "center",
+          gap: "4px",
         }}
       >
-        Chat
-      </button>
+        <button
+          type="button"
+          onClick={onOpenChat}
+          style={{
+            padding: "8px 12px",
+            borderRadius: "999px",
+            border: "none",
+            backgroundColor: "#C8D5B9",
+            fontSize: "13px",
+            fontWeight: "bold",
+            cursor: "pointer",
+          }}
+        >
+          Chat
+        </button>
+        <button
+          type="button"
+          onClick={onUnmatch}
+          style={{
+            border: "none",
+            background: "transparent",
+            padding: 0,
+            fontSize: "11px",
+            color: "#888888",
+            cursor: "pointer",
+          }}
+        >
+          Unmatch
+        </button>
+      </div>
     </div>
   );
 }
@@ -1,65 +1,22 @@
 // ProfilePreview.jsx
 // Shows the current user's profile (read-only view).
-// - Loads users/{uid} from Firestore
-// - Renders basic info + neighborhoods + roommate prefs
+// - Reads users/{uid} from <AuthProvider> (kept live from Firestore)
+// - Renders basic info + budget + neighborhoods + roommate prefs
 // - Shows home photos grid if they exist
+// - Shows my room listing (listings/{uid}) if I have a place
 // - Has "Edit profile" button that goes to /create-profile
 
 import React, { useEffect, useState } from "react";
 import { useNavigate } from "react-router-dom";
-import { auth, db } from "../firebase";
-import { doc, getDoc } from "firebase/firestore";
+import { useAuth } from "../context/AuthContext";
+import { formatBudget } from "../utils/budget";
+import { loadListing } from "../utils/listings";
+import ListingDetails from "../components/ListingDetails.jsx";
 
 function ProfilePreview() {
   const navigate = useNavigate();
-  const [profile, setProfile] = useState(null);
-  const [loading, setLoading] = useState(true);
-  const [errorMsg, setErrorMsg] = useState("");
-
-  useEffect(() => {
-    const loadProfile = async () => {
-      if (!auth.currentUser) {
-        navigate("/");
-        return;
-      }
-
-      try {
-        const uid = auth.currentUser.uid;
-        const profileRef = doc(db, "users", uid);
-        const snap = await getDoc(profileRef);
-
-        if (!snap.exists()) {
-          setErrorMsg("No profile found. Please create your profile first.");
-        } else {
-          setProfile(snap.data());
-        }
-      } catch (err) {
-        console.error("Error loading profile:", err);
-        setErrorMsg("Could not load your profile.");
-      } finally {
-        setLoading(false);
-      }
-    };
-
-    loadProfile();
-  }, [navigate]);
-
-  if (loading) {
-    return (
-      <div
-        style={{
-          minHeight: "100vh",
-          backgroundColor: "#FFF8E1",
-          display: "flex",
-          justifyContent: "center",
-          alignItems: "center",
-          fontFamily: "Arial, sans-serif",
-        }}
-      >
-        Loading profile…
-      </div>
-    );
-  }
+  const { user, profile } = useAuth();
+  const [listing, setListing] = useState(null); // listings/{uid} or null
 
   // Safely normalize homePhotos:
   // - If array → use it
@@ -78,7 +35,21 @@ function ProfilePreview() {
     }
   }
 
+  // Small versions for the grid (older profiles have no thumbnails)
+  const homePhotoThumbs = Array.isArray(profile?.homePhotoThumbs)
+    ? profile.homePhotoThumbs
+    : [];
+
   const hasHouse = Boolean(profile?.hasHouse);
+  const budgetText = profile ? formatBudget(profile) : "";
+
+  // My room listing (only students with a place have one)
+  useEffect(() => {
+    if (!hasHouse) return;
+    loadListing(user.uid)
+      .then(setListing)
+      .catch((err) => console.error("Error loading listing:", err));
+  }, [hasHouse, user.uid]);
 
   return (
     <div
@@ -112,20 +83,6 @@ function ProfilePreview() {
           My profile
         </h1>
 
-        {errorMsg && (
-          <div
-            style={{
-              backgroundColor: "#FFD54F",
-              padding: "10px",
-              borderRadius: "10px",
-              marginBottom: "12px",
-              fontSize: "14px",
-            }}
-          >
-            {errorMsg}
-          </div>
-        )}
-
         {profile && (
           <>
             {/* Name + age + gender */}
@@ -175,6 +132,12 @@ function ProfilePreview() {
               {profile.bio || "You haven't written a bio yet."}
             </p>
 
+            {/* Budget range */}
+            <p style={{ margin: "8px 0", fontSize: "14px", color: "#555" }}>
+              <strong>Monthly budget: </strong>
+              {budgetText || "Not set yet"}
+            </p>
+
             {/* Neighborhoods */}
             {profile.neighborhoods &&
               Array.isArray(profile.neighborhoods) &&
@@ -231,23 +194,36 @@ function ProfilePreview() {
                   }}
                 >
                   {homePhotos.map((url, index) => (
-                    <img
+                    <a
                       key={index}
-                      src={url}
-                      alt={`Home ${index + 1}`}
-                      style={{
-                        width: "110px",
-                        height: "80px",
-                        objectFit: "cover",
-                        borderRadius: "10px",
-                        backgroundColor: "#EEE",
-                      }}
-                    />
+                      href={url}
+                      target="_blank"
+                      rel="noreferrer"
+                    >
+                      <img
+                        src={homePhotoThumbs[index] || url}
+                        alt={`Home ${index + 1}`}
+                        style={{
+                          width: "110px",
+                          height: "80px",
+                          objectFit: "cover",
+                          borderRadius: "10px",
+                          backgroundColor: "#EEE",
+                        }}
+                      />
+                    </a>
                   ))}
                 </div>
               </div>
             )}
 
+            {/* Room listing (house owners) */}
+            {hasHouse && (
+              <div style={{ marginTop: "16px" }}>
+                <ListingDetails listing={listing} title="My listing" />
+              </div>
+            )}
+
             {/* Buttons: Edit profile + Back */}
             <div
               style={{
@@ -3,35 +3,102 @@
 //
 // Real roommate browser with SIMPLE MATCHING:
 //  - Loads other student profiles from Firestore ("users" collection)
-//  - Skips the current logged-in user
+//    page by page, pre-filtered by neighborhood / housing intent /
+//    gender preference (utils/candidates.js), and prefetches the next
+//    page while the user is still swiping
+//  - Only shows complementary housing intents: room-holders see
+//    seekers, seekers see room-holders + co-searchers, co-searchers
+//    see seekers + co-searchers (utils/housingIntent.js)
+//  - Skips the current logged-in user, anyone I already liked,
+//    and anyone I skipped recently (see PASS_COOLDOWN_DAYS)
 //  - Computes a "matchScore" (0–100) for each profile based on:
-//      • Budget similarity
-//      • Shared neighborhoods
+//      • Budget range overlap
+//      • Shared or nearby neighborhoods
 //      • Shared roommate preferences
+//    weighted by how much each person cares (utils/matchScore.js)
+//  - Hides people who break one of my dealbreakers (or I break theirs)
 //  - Sorts profiles by matchScore (best matches first)
 //  - Shows one profile at a time with "Skip" + "Connect"
-//  - Saves likes into "likes" collection for future matching
-//  - NEW: shows "has house" badge + home photos (if any)
+//  - Saves likes into likes/{me}_{them} (no duplicates); a Cloud
+//    Function turns mutual likes into matches/{pairId}
+//  - Saves skips into passes/{me}_{them}
+//  - "Undo" rewinds the last few Skip / Connect actions
+//  - Cards can be dragged left / right (or ← / → keys) to skip / connect
+//  - Shows an "It's a match!" banner when a new match appears
+//  - Report / Block on each card; blocked students (either way)
+//    never show up in the deck
+//  - NEW: shows a housing intent badge + home photos (if any)
+//  - Shows the room listing of students with a place
+//    (utils/listings.js)
+//  - "Filters" sheet (DeckFilterSheet.jsx): age, gender, has a place,
+//    neighborhoods, tags, minimum score, room details (for students
+//    looking for a room) and sort mode (best / newest / recently
+//    active). Saved on my profile (deckFilters, utils/deckFilters.js)
+//    and applied to every page before ranking, so the "X of Y"
+//    counter only counts students that pass them
+//  - Commute estimate from each student's area (or listing) to my
+//    campus on the card (utils/commute.js)
 // ----------------------------------------------------------
 
-import React, { useEffect, useState } from "react";
+import React, { useCallback, useEffect, useRef, useState } from "react";
 import { useNavigate } from "react-router-dom";
-import { auth, db } from "../firebase";
+import { db } from "../firebase";
+import { doc, getDoc } from "firebase/firestore";
+import { useAuth } from "../context/AuthContext";
+import SwipeableCard from "../components/SwipeableCard.jsx";
+import ReportDialog from "../components/ReportDialog.jsx";
+import SafetyActions from "../components/SafetyActions.jsx";
+import { blockUser, loadBlocks } from "../utils/safety";
+import { formatBudget, formatLira } from "../utils/budget";
+import { lifestyleSummary } from "../utils/lifestyle";
+import { attachListings } from "../utils/listings";
+import ListingDetails from "../components/ListingDetails.jsx";
+import DeckFilterSheet from "../components/DeckFilterSheet.jsx";
 import {
-  doc,
-  getDoc,
-  collection,
-  getDocs,
-  addDoc,
-} from "firebase/firestore";
+  SORT_MODES,
+  cleanDeckFilters,
+  countActiveFilters,
+  finishDeckPage,
+  profileMatchesDeckFilters,
+  saveDeckFilters,
+} from "../utils/deckFilters";
+import { estimateCommute, formatCommute, getCampus } from "../utils/commute";
+import { getHousingIntent, housingIntentInfo } from "../utils/housingIntent";
+import {
+  MATCH_DIMENSIONS,
+  rankProfilesWithMatchScore,
+} from "../utils/matchScore";
+import { subscribeToNewMatches } from "../utils/matches";
+import {
+  likeUser,
+  passUser,
+  unlikeUser,
+  unpassUser,
+  loadSwipedUids,
+} from "../utils/swipes";
+import { PASS_COOLDOWN_DAYS } from "../config";
+import {
+  buildCandidateFilters,
+  candidateAcceptsMe,
+  fetchCandidatePage,
+} from "../utils/candidates";
+
+// Start loading the next page when this many cards are left
+const PREFETCH_WHEN_LEFT = 5;
+
+// Max pages to read in one go when pages only contain people I swiped
+const MAX_PAGES_PER_LOAD = 5;
+
+// How many Skip / Connect actions can be undone
+const UNDO_HISTORY_LIMIT = 10;
 
 function SwipeMatch() {
   const navigate = useNavigate();
+  const { user } = useAuth();
+  const uid = user.uid;
 
-  // My own profile (from Firestore)
-  const [myProfile, setMyProfile] = useState(null);
-
-  // List of other student profiles (with matchScore included)
+  // Loaded student profiles (with matchScore included).
+  // More pages are appended while the user swipes.
   const [profiles, setProfiles] = useState([]);
 
   // Current index in the profiles array
@@ -42,53 +109,145 @@ function SwipeMatch() {
   const [errorMsg, setErrorMsg] = useState("");
   const [lastAction, setLastAction] = useState("");
 
-  // Load my profile + other profiles when page opens
+  // Are there more pages of candidates in Firestore?
+  const [hasMore, setHasMore] = useState(true);
+
+  // Recent actions for "Undo", newest last:
+  //   [{ type: "skip" | "connect", profile, index }, ...]
+  const [history, setHistory] = useState([]);
+  const [undoing, setUndoing] = useState(false);
+
+  // A Skip / Connect is being saved: buttons + swipe are disabled
+  // until it's done, so a double tap can't save the same card twice.
+  // (The ref blocks a second tap before React re-renders.)
+  const [swipeSaving, setSwipeSaving] = useState(false);
+  const swipeSavingRef = useRef(false);
+
+  // uid of the latest new match (shown as a banner)
+  const [newMatchUid, setNewMatchUid] = useState(null);
+
+  // Profile being reported (opens <ReportDialog>) or null
+  const [reportTarget, setReportTarget] = useState(null);
+
+  // Deck filters + sort mode (saved on my profile) and the sheet
+  const [deckFilters, setDeckFilters] = useState(() => cleanDeckFilters());
+  const [filtersOpen, setFiltersOpen] = useState(false);
+  const [myProfile, setMyProfile] = useState(null);
+  // Room filters only make sense when I'm looking for a room
+  const [isSeeker, setIsSeeker] = useState(false);
+
+  // Paging state that doesn't need re-renders:
+  // my profile, filters, Firestore cursor, who to hide, request in flight
+  const deckRef = useRef({
+    myData: null,
+    filters: null,
+    deckFilters: cleanDeckFilters(),
+    cursor: null,
+    swipedUids: new Set(),
+    blockedUids: new Set(),
+    // Promise of the page load that is running (null when idle)
+    fetching: null,
+  });
+
+  // Fetch the next page(s) of candidates and append them to the deck.
+  // A page can be all people I already swiped, so keep going
+  // (up to a few pages) until we find someone new.
+  // Returns how many profiles were added.
+  const loadNextPage = useCallback(() => {
+    const deck = deckRef.current;
+    if (deck.fetching) return Promise.resolve(0);
+
+    const load = async () => {
+      let added = [];
+      let done = false;
+
+      for (let i = 0; i < MAX_PAGES_PER_LOAD && added.length === 0; i++) {
+        const page = await fetchCandidatePage({
+          filters: deck.filters,
+          sort: deck.deckFilters.sort,
+          cursor: deck.cursor,
+        });
+        deck.cursor = page.cursor;
+        done = page.done;
+
+        const fresh = page.profiles.filter(
+          (p) =>
+            p.id !== uid &&
+            !deck.swipedUids.has(p.id) &&
+            !deck.blockedUids.has(p.id) &&
+            candidateAcceptsMe(p, deck.myData)
+        );
+
+        // Add room listings, then apply my deck filters
+        const filtered = (await attachListings(fresh)).filter((p) =>
+          profileMatchesDeckFilters(p, deck.deckFilters)
+        );
+
+        // Rank each page as it arrives (best matches first,
+        // dealbreaker conflicts dropped), then apply the minimum
+        // score and my sort mode
+        added = finishDeckPage(
+          rankProfilesWithMatchScore(deck.myData, filtered),
+          deck.deckFilters
+        );
+        if (done) break;
+      }
+
+      setProfiles((prev) => [...prev, ...added]);
+      setHasMore(!done);
+      return added.length;
+    };
+
+    deck.fetching = load().finally(() => {
+      deck.fetching = null;
+    });
+    return deck.fetching;
+  }, [uid]);
+
+  // Load my profile + the first page of candidates when page opens
   useEffect(() => {
     const loadData = async () => {
       try {
-        if (!auth.currentUser) {
-          navigate("/");
-          return;
-        }
-
-        const uid = auth.currentUser.uid;
-
-        // 1) Load my profile
+        // 1) Load my profile (<ProtectedRoute> made sure it exists)
+        //    + who I already liked / skipped + blocks (either way)
         const myRef = doc(db, "users", uid);
-        const mySnap = await getDoc(myRef);
-
-        if (!mySnap.exists()) {
-          // If I don't have a profile yet, force me to create one
-          navigate("/create-profile");
-          return;
-        }
+        const [mySnap, swipedUids, blocks] = await Promise.all([
+          getDoc(myRef),
+          loadSwipedUids(uid),
+          loadBlocks(uid),
+        ]);
+        // My own listing too: commute scores use its area as "where
+        // I'd live" when I have a place (utils/commute.js)
+        const [myData] = await attachListings([
+          { id: uid, ...mySnap.data() },
+        ]);
 
-        const myData = mySnap.data();
+        const deck = deckRef.current;
+        deck.myData = myData;
+        deck.filters = buildCandidateFilters(myData);
+        deck.swipedUids = swipedUids;
+        deck.blockedUids = blocks.hidden;
+        deck.deckFilters = cleanDeckFilters(myData.deckFilters);
+        setDeckFilters(deck.deckFilters);
         setMyProfile(myData);
+        setIsSeeker(getHousingIntent(myData) === "seeking");
 
-        // 2) Load ALL users
-        const usersRef = collection(db, "users");
-        const usersSnap = await getDocs(usersRef);
-
-        const others = [];
-        usersSnap.forEach((d) => {
-          if (d.id !== uid) {
-            others.push({
-              id: d.id,
-              ...d.data(),
-            });
-          }
-        });
+        // 2) First page of pre-filtered candidates
+        const count = await loadNextPage();
 
-        if (others.length === 0) {
+        if (count === 0 && countActiveFilters(deck.deckFilters) > 0) {
           setErrorMsg(
-            "No other verified student profiles yet. Invite your friends to sign up!"
+            "Nobody matches your filters right now. Try loosening them."
+          );
+        } else if (count === 0 && swipedUids.size > 0) {
+          setErrorMsg(
+            `You've seen everyone for now. Students you skipped come back after ${PASS_COOLDOWN_DAYS} days.`
+          );
+        } else if (count === 0) {
+          setErrorMsg(
+            "No matching student profiles yet. Invite your friends to sign up!"
           );
         }
-
-        // 3) Compute matchScore for each "other" profile and sort by score
-        const ranked = rankProfilesWithMatchScore(myData, others);
-        setProfiles(ranked);
       } catch (err) {
         console.error("Error loading swipe data:", err);
         setErrorMsg("Could not load roommate profiles.");
@@ -98,36 +257,194 @@ function SwipeMatch() {
     };
 
     loadData();
-  }, [navigate]);
+  }, [uid, loadNextPage]);
+
+  // Listen for matches created while I'm swiping
+  useEffect(() => {
+    return subscribeToNewMatches(uid, (otherUid) => setNewMatchUid(otherUid));
+  }, [uid]);
+
+  const activeFilterCount = countActiveFilters(deckFilters);
+  const myCampus = getCampus(myProfile?.campusId);
+  const sortLabel =
+    SORT_MODES.find((m) => m.value === deckFilters.sort)?.label || "";
+
+  const newMatchProfile = newMatchUid
+    ? profiles.find((p) => p.id === newMatchUid)
+    : null;
 
   const noMoreProfiles = currentIndex >= profiles.length;
   const currentProfile = !noMoreProfiles ? profiles[currentIndex] : null;
 
-  // When user skips a profile
-  const handleSkip = () => {
-    if (!currentProfile) return;
-    setLastAction(`You skipped ${currentProfile.name || "this profile"}.`);
-    setCurrentIndex((prev) => prev + 1);
+  // Move to the next card and prefetch the next page in the
+  // background when only a few cards are left
+  const advance = () => {
+    const nextIndex = currentIndex + 1;
+    setCurrentIndex(nextIndex);
+
+    if (hasMore && profiles.length - nextIndex <= PREFETCH_WHEN_LEFT) {
+      loadNextPage().catch((err) => {
+        console.error("Error loading more profiles:", err);
+      });
+    }
   };
 
+  // Remember an action so it can be undone (keeps the last few only)
+  const pushHistory = (type) => {
+    setHistory((prev) =>
+      [...prev, { type, profile: currentProfile, index: currentIndex }].slice(
+        -UNDO_HISTORY_LIMIT
+      )
+    );
+  };
+
+  // Run one Skip / Connect save at a time
+  const runSwipe = async (save) => {
+    if (!currentProfile || swipeSavingRef.current) return;
+    swipeSavingRef.current = true;
+    setSwipeSaving(true);
+    try {
+      await save();
+    } finally {
+      swipeSavingRef.current = false;
+      setSwipeSaving(false);
+    }
+  };
+
+  // When user skips a profile
+  const handleSkip = () =>
+    runSwipe(async () => {
+      try {
+        await passUser(uid, currentProfile.id);
+        deckRef.current.swipedUids.add(currentProfile.id);
+
+        setLastAction(`You skipped ${currentProfile.name || "this profile"}.`);
+        pushHistory("skip");
+        advance();
+      } catch (err) {
+        console.error("Error saving skip:", err);
+        setLastAction("Could not save your skip. Please try again.");
+      }
+    });
+
   // When user "connects" (likes) a profile
-  const handleConnect = async () => {
-    if (!currentProfile || !auth.currentUser) return;
+  const handleConnect = () =>
+    runSwipe(async () => {
+      try {
+        await likeUser(uid, currentProfile.id);
+        deckRef.current.swipedUids.add(currentProfile.id);
+
+        setLastAction(
+          `You liked ${currentProfile.name || "this student"}. We'll use this for matching later.`
+        );
+        pushHistory("connect");
+        advance();
+      } catch (err) {
+        console.error("Error saving like:", err);
+        setLastAction("Could not save your like. Please try again.");
+      }
+    });
+
+  // Undo the most recent action:
+  //   - Skip    → delete the pass
+  //   - Connect → delete the like (the Cloud Function removes any match)
+  // then go back to that card.
+  const handleUndo = async () => {
+    const last = history[history.length - 1];
+    if (!last || undoing) return;
+
+    const name = last.profile.name || "this student";
 
     try {
-      await addDoc(collection(db, "likes"), {
-        fromUid: auth.currentUser.uid,
-        toUid: currentProfile.id,
-        createdAt: Date.now(),
-      });
+      setUndoing(true);
 
+      if (last.type === "connect") {
+        await unlikeUser(uid, last.profile.id);
+        if (newMatchUid === last.profile.id) setNewMatchUid(null);
+      } else {
+        await unpassUser(uid, last.profile.id);
+      }
+      deckRef.current.swipedUids.delete(last.profile.id);
+
+      setHistory((prev) => prev.slice(0, -1));
+      setCurrentIndex(last.index);
       setLastAction(
-        `You liked ${currentProfile.name || "this student"}. We'll use this for matching later.`
+        last.type === "connect"
+          ? `Undid your like for ${name}.`
+          : `Undid your skip of ${name}.`
       );
-      setCurrentIndex((prev) => prev + 1);
     } catch (err) {
-      console.error("Error saving like:", err);
-      setLastAction("Could not save your like. Please try again.");
+      console.error("Error undoing last action:", err);
+      setLastAction("Could not undo. Please try again.");
+    } finally {
+      setUndoing(false);
+    }
+  };
+
+  // New filters → save them and start the deck again from page one
+  const applyDeckFilters = async (filters) => {
+    const deck = deckRef.current;
+    setFiltersOpen(false);
+
+    // Let a background prefetch finish first, so its results
+    // (for the old filters) aren't added after the reset
+    while (deck.fetching) {
+      await deck.fetching.catch(() => {});
+    }
+
+    deck.deckFilters = filters;
+    deck.cursor = null;
+    setDeckFilters(filters);
+    setProfiles([]);
+    setCurrentIndex(0);
+    setHistory([]);
+    setHasMore(true);
+    setErrorMsg("");
+    setLastAction("");
+
+    // Saving can fail (e.g. offline); the deck still uses them
+    saveDeckFilters(uid, filters).catch((err) => {
+      console.error("Error saving filters:", err);
+    });
+
+    try {
+      const count = await loadNextPage();
+      if (count === 0 && countActiveFilters(filters) > 0) {
+        setErrorMsg(
+          "Nobody matches your filters right now. Try loosening them."
+        );
+      }
+    } catch (err) {
+      console.error("Error applying filters:", err);
+      setErrorMsg("Could not load roommate profiles.");
+    }
+  };
+
+  // Take a blocked student out of the deck (and out of Undo)
+  const removeFromDeck = (profile) => {
+    deckRef.current.blockedUids.add(profile.id);
+    setProfiles((prev) => prev.filter((p) => p.id !== profile.id));
+    setHistory((prev) => prev.filter((h) => h.profile.id !== profile.id));
+    if (newMatchUid === profile.id) setNewMatchUid(null);
+  };
+
+  const handleBlock = async (profile) => {
+    const name = profile.name || "this student";
+    if (
+      !window.confirm(
+        `Block ${name}? You won't see each other anywhere in the app.`
+      )
+    ) {
+      return;
+    }
+
+    try {
+      await blockUser(uid, profile.id);
+      removeFromDeck(profile);
+      setLastAction(`You blocked ${name}.`);
+    } catch (err) {
+      console.error("Error blocking user:", err);
+      setLastAction("Could not block this student. Please try again.");
     }
   };
 
@@ -160,6 +477,7 @@ function SwipeMatch() {
         alignItems: "center",
         padding: "24px 16px",
         fontFamily: "Arial, sans-serif",
+        overflowX: "hidden", // swiped cards fly off the side
       }}
     >
       <div
@@ -196,7 +514,8 @@ function SwipeMatch() {
               ? "0 profiles"
               : noMoreProfiles
               ? "0 left"
-              : `${currentIndex + 1} of ${profiles.length}`}
+              : `${currentIndex + 1} of ${profiles.length}${hasMore ? "+" : ""}`}
+            {activeFilterCount > 0 ? " · filtered" : ""}
           </span>
         </div>
 
@@ -207,10 +526,81 @@ function SwipeMatch() {
             color: "#555555",
           }}
         >
-          You’re seeing the best matches first, based on your neighborhoods,
-          budget, and roommate preferences.
+          {deckFilters.sort === "best"
+            ? "You’re seeing the best matches first, based on your " +
+              "neighborhoods, budget, and roommate preferences."
+            : `Sorted by ${sortLabel.toLowerCase()}.`}
         </p>
 
+        {/* Filters + sort */}
+        <div style={{ marginBottom: "12px" }}>
+          <button
+            type="button"
+            onClick={() => setFiltersOpen(true)}
+            style={{
+              padding: "6px 12px",
+              borderRadius: "999px",
+              border: "1px solid #C8D5B9",
+              backgroundColor: activeFilterCount > 0 ? "#C8D5B9" : "#FFFFFF",
+              fontSize: "13px",
+              color: "#333333",
+              cursor: "pointer",
+            }}
+          >
+            ⚙️ Filters & sorting
+            {activeFilterCount > 0 ? ` (${activeFilterCount})` : ""}
+          </button>
+        </div>
+
+        {/* New match banner */}
+        {newMatchUid && (
+          <div
+            style={{
+              display: "flex",
+              alignItems: "center",
+              gap: "8px",
+              backgroundColor: "#C8D5B9",
+              padding: "10px",
+              borderRadius: "10px",
+              marginBottom: "12px",
+              fontSize: "14px",
+            }}
+          >
+            <span style={{ flex: 1 }}>
+              🎉 It’s a match
+              {newMatchProfile?.name ? ` with ${newMatchProfile.name}` : ""}!
+            </span>
+            <button
+              type="button"
+              onClick={() => navigate(`/chat/${newMatchUid}`)}
+              style={{
+                padding: "6px 10px",
+                borderRadius: "999px",
+                border: "none",
+                backgroundColor: "#FFFFFF",
+                fontSize: "12px",
+                fontWeight: "bold",
+                cursor: "pointer",
+              }}
+            >
+              Say hi
+            </button>
+            <button
+              type="button"
+              onClick={() => setNewMatchUid(null)}
+              aria-label="Dismiss"
+              style={{
+                border: "none",
+                background: "transparent",
+                cursor: "pointer",
+                fontSize: "14px",
+              }}
+            >
+              ✕
+            </button>
+          </div>
+        )}
+
         {/* Error / info */}
         {errorMsg && (
           <div
@@ -237,22 +627,84 @@ function SwipeMatch() {
               marginBottom: "16px",
             }}
           >
-            <p style={{ margin: "0 0 6px", fontSize: "14px", color: "#444" }}>
-              You’ve reached the end of available profiles.
-            </p>
-            <p style={{ margin: 0, fontSize: "13px", color: "#666" }}>
-              As more students create profiles, the best matches will appear
-              here first.
-            </p>
+            {hasMore ? (
+              <>
+                <p
+                  style={{ margin: "0 0 10px", fontSize: "14px", color: "#444" }}
+                >
+                  Looking for more students…
+                </p>
+                <button
+                  type="button"
+                  onClick={() =>
+                    loadNextPage().catch((err) => {
+                      console.error("Error loading more profiles:", err);
+                      setErrorMsg("Could not load more profiles.");
+                    })
+                  }
+                  style={{
+                    padding: "8px 14px",
+                    borderRadius: "999px",
+                    border: "none",
+                    backgroundColor: "#BBDEFB", // Sail
+                    fontSize: "13px",
+                    fontWeight: "bold",
+                    cursor: "pointer",
+                  }}
+                >
+                  Load more
+                </button>
+              </>
+            ) : (
+              <>
+                <p
+                  style={{ margin: "0 0 6px", fontSize: "14px", color: "#444" }}
+                >
+                  You’ve reached the end of available profiles.
+                </p>
+                <p style={{ margin: 0, fontSize: "13px", color: "#666" }}>
+                  As more students create profiles, the best matches will
+                  appear here first.
+                </p>
+              </>
+            )}
           </div>
         ) : (
-          <ProfileCard profile={currentProfile} />
+          <>
+            <SwipeableCard
+              key={currentProfile.id}
+              onSwipeLeft={handleSkip}
+              onSwipeRight={handleConnect}
+              disabled={undoing || swipeSaving}
+              keyboard={!reportTarget && !filtersOpen}
+            >
+              <ProfileCard
+                profile={currentProfile}
+                myCampus={myCampus}
+                onReport={() => setReportTarget(currentProfile)}
+                onBlock={() => handleBlock(currentProfile)}
+              />
+            </SwipeableCard>
+            <p
+              style={{
+                margin: "-6px 0 12px",
+                fontSize: "11px",
+                color: "#888",
+                textAlign: "center",
+              }}
+            >
+              Drag the card or use ← / → to skip or connect
+            </p>
+          </>
         )}
 
         {/* Last action note */}
-        {lastAction && (
+        {(lastAction || history.length > 0) && (
           <div
             style={{
+              display: "flex",
+              alignItems: "center",
+              gap: "8px",
               marginBottom: "12px",
               padding: "8px 10px",
               borderRadius: "999px",
@@ -260,7 +712,28 @@ function SwipeMatch() {
               fontSize: "13px",
             }}
           >
-            {lastAction}
+            <span style={{ flex: 1 }}>{lastAction}</span>
+
+            {/* Undo (only while there is something to undo) */}
+            {history.length > 0 && (
+              <button
+                type="button"
+                onClick={handleUndo}
+                disabled={undoing}
+                style={{
+                  padding: "4px 10px",
+                  borderRadius: "999px",
+                  border: "1px solid #D7CCC8",
+                  backgroundColor: "#FFFFFF",
+                  fontSize: "12px",
+                  fontWeight: "bold",
+                  cursor: undoing ? "default" : "pointer",
+                  whiteSpace: "nowrap",
+                }}
+              >
+                {undoing ? "Undoing…" : `↩ Undo (${history.length})`}
+              </button>
+            )}
           </div>
         )}
 
@@ -276,6 +749,7 @@ function SwipeMatch() {
             <button
               type="button"
               onClick={handleSkip}
+              disabled={swipeSaving}
               style={{
                 flex: 1,
                 padding: "12px",
@@ -283,7 +757,8 @@ function SwipeMatch() {
                 border: "1px solid #D7CCC8",
                 backgroundColor: "#FFFFFF",
                 fontWeight: "bold",
-                cursor: "pointer",
+                cursor: swipeSaving ? "default" : "pointer",
+                opacity: swipeSaving ? 0.6 : 1,
               }}
             >
               Skip
@@ -292,6 +767,7 @@ function SwipeMatch() {
             <button
               type="button"
               onClick={handleConnect}
+              disabled={swipeSaving}
               style={{
                 flex: 1,
                 padding: "12px",
@@ -299,7 +775,8 @@ function SwipeMatch() {
                 border: "none",
                 backgroundColor: "#C8D5B9", // Coriander
                 fontWeight: "bold",
-                cursor: "pointer",
+                cursor: swipeSaving ? "default" : "pointer",
+                opacity: swipeSaving ? 0.6 : 1,
               }}
             >
               Connect
@@ -326,102 +803,39 @@ function SwipeMatch() {
           ⬅ Back to main page
         </button>
       </div>
-    </div>
-  );
-}
 
-// ----------------------------------------------------------
-// Helper: rankProfilesWithMatchScore(myProfile, others)
-// ----------------------------------------------------------
-//
-// Takes your profile and all other profiles, and returns a NEW array:
-//   [{ ...otherProfile, matchScore: number }, ...]
-// sorted by matchScore descending.
-//
-// The matching is SIMPLE and EXPLAINABLE for now:
-//   - Budget similarity: up to 40 points
-//   - Shared neighborhoods: up to 35 points
-//   - Shared roommate preferences: up to 25 points
-// ----------------------------------------------------------
+      {reportTarget && (
+        <ReportDialog
+          reporterUid={uid}
+          reportedUid={reportTarget.id}
+          reportedName={reportTarget.name}
+          source="profile"
+          onClose={() => setReportTarget(null)}
+          onDone={({ blocked }) => {
+            if (blocked) removeFromDeck(reportTarget);
+            setLastAction(
+              blocked
+                ? "Thanks for reporting. You won't see each other anymore."
+                : "Thanks for reporting. We'll take a look."
+            );
+            setReportTarget(null);
+          }}
+        />
+      )}
 
-function rankProfilesWithMatchScore(myProfile, others) {
-  return (
-    others
-      // Add a matchScore field to each profile
-      .map((p) => ({
-        ...p,
-        matchScore: calculateMatchScore(myProfile, p),
-      }))
-      // Sort from best match (highest score) to worst
-      .sort((a, b) => b.matchScore - a.matchScore)
+      {filtersOpen && (
+        <DeckFilterSheet
+          filters={deckFilters}
+          myProfile={myProfile}
+          showListingFilters={isSeeker}
+          onApply={applyDeckFilters}
+          onClose={() => setFiltersOpen(false)}
+        />
+      )}
+    </div>
   );
 }
 
-function calculateMatchScore(me, other) {
-  let score = 0;
-
-  // --- 1) Budget similarity (0–40) ---
-  const myBudget = toNumber(me.budget);
-  const theirBudget = toNumber(other.budget);
-
-  if (myBudget && theirBudget) {
-    const diff = Math.abs(myBudget - theirBudget);
-    const maxDiff = myBudget * 0.5; // 50% difference considered "bad"
-    const ratio = Math.max(0, 1 - diff / maxDiff); // from 0 to 1
-    score += ratio * 40; // scale to 0–40
-  } else {
-    // If one of budgets is missing, give a neutral middle score
-    score += 20;
-  }
-
-  // --- 2) Shared neighborhoods (0–35) ---
-  const myNeighborhoods = asArrayOfLowercase(me.neighborhoods);
-  const theirNeighborhoods = asArrayOfLowercase(other.neighborhoods);
-
-  if (myNeighborhoods.length > 0 && theirNeighborhoods.length > 0) {
-    const shared = myNeighborhoods.filter((n) =>
-      theirNeighborhoods.includes(n)
-    );
-    const ratio = Math.min(shared.length / myNeighborhoods.length, 1);
-    score += ratio * 35; // more shared areas → closer to 35
-  } else {
-    // No neighborhoods set → neutral
-    score += 18;
-  }
-
-  // --- 3) Roommate preferences overlap (0–25) ---
-  const myPrefs = asArrayOfLowercase(me.roommatePreferences);
-  const theirPrefs = asArrayOfLowercase(other.roommatePreferences);
-
-  if (myPrefs.length > 0 && theirPrefs.length > 0) {
-    const sharedPrefs = myPrefs.filter((p) => theirPrefs.includes(p));
-    const ratio = Math.min(sharedPrefs.length / myPrefs.length, 1);
-    score += ratio * 25;
-  } else {
-    score += 12; // neutral
-  }
-
-  // Clamp 0–100 and return integer
-  return Math.max(0, Math.min(100, Math.round(score)));
-}
-
-// Helpers to safely read arrays / numbers
-
-function asArrayOfLowercase(value) {
-  if (!value) return [];
-  if (!Array.isArray(value)) return [];
-  return value
-    .map((v) => String(v).trim().toLowerCase())
-    .filter((v) => v.length > 0);
-}
-
-function toNumber(value) {
-  if (!value && value !== 0) return null;
-  const n = Number(value);
-  if (Number.isNaN(n)) return null;
-  return n;
-}
-
 // ----------------------------------------------------------
 // ProfileCard component
 // ----------------------------------------------------------
@@ -432,13 +846,19 @@ function toNumber(value) {
 //   - bio
 //   - neighborhoods
 //   - roommate preferences
-//   - matchScore badge
-//   - NEW: "Has a house" badge + home photo preview
+//   - lifestyle answers (one short line each)
+//   - matchScore badge + "Why this match?" breakdown panel
+//   - Report / Block links
+//   - NEW: housing intent badge + home photo preview
+//   - room listing details (rent, rooms, availability, ...)
+//   - commute estimate to my campus (when I've set one)
 // ----------------------------------------------------------
 
-function ProfileCard({ profile }) {
+function ProfileCard({ profile, myCampus, onReport, onBlock }) {
   const hasPhoto = !!profile.profilePhoto;
   const matchScore = profile.matchScore ?? null;
+  const breakdown = profile.matchBreakdown || null;
+  const [showWhy, setShowWhy] = useState(false);
 
   // Home photos (array of URLs)
   const homePhotos =
@@ -447,6 +867,10 @@ function ProfileCard({ profile }) {
       : [];
 
   const hasHouse = Boolean(profile.hasHouse);
+  const intent = housingIntentInfo(getHousingIntent(profile));
+  const budgetText = formatBudget(profile);
+  const commute = estimateCommute(profile, myCampus);
+  const lifestyle = lifestyleSummary(profile);
 
   return (
     <div
@@ -469,7 +893,7 @@ function ProfileCard({ profile }) {
         {/* Avatar */}
         {hasPhoto ? (
           <img
-            src={profile.profilePhoto}
+            src={profile.profilePhotoThumb || profile.profilePhoto}
             alt={profile.name}
             style={{
               width: "64px",
@@ -519,7 +943,7 @@ function ProfileCard({ profile }) {
           </div>
 
           {/* Budget */}
-          {profile.budget && (
+          {budgetText && (
             <div
               style={{
                 fontSize: "13px",
@@ -527,27 +951,38 @@ function ProfileCard({ profile }) {
                 marginTop: "4px",
               }}
             >
-              Budget: ₺{profile.budget}
+              Budget: {budgetText} / month
             </div>
           )}
 
-          {/* Has house badge */}
-          {hasHouse && (
+          {/* Commute to my campus */}
+          {commute && (
             <div
               style={{
+                fontSize: "13px",
+                color: "#666666",
                 marginTop: "4px",
-                display: "inline-block",
-                padding: "3px 8px",
-                borderRadius: "999px",
-                backgroundColor: "#C8D5B9",
-                fontSize: "11px",
-                fontWeight: "bold",
-                color: "#333333",
               }}
             >
-              🏠 Has a place
+              🚌 {formatCommute(commute, myCampus)}
             </div>
           )}
+
+          {/* Housing intent badge */}
+          <div
+            style={{
+              marginTop: "4px",
+              display: "inline-block",
+              padding: "3px 8px",
+              borderRadius: "999px",
+              backgroundColor: "#C8D5B9",
+              fontSize: "11px",
+              fontWeight: "bold",
+              color: "#333333",
+            }}
+          >
+            {intent.icon} {intent.badge}
+          </div>
         </div>
 
         {/* Match score badge */}
@@ -569,6 +1004,30 @@ function ProfileCard({ profile }) {
         )}
       </div>
 
+      {/* "Why this match?" toggle + panel */}
+      {breakdown && (
+        <div style={{ marginBottom: "10px" }}>
+          <button
+            type="button"
+            onClick={() => setShowWhy((open) => !open)}
+            aria-expanded={showWhy}
+            style={{
+              padding: "4px 10px",
+              borderRadius: "999px",
+              border: "1px solid #C8D5B9",
+              backgroundColor: showWhy ? "#C8D5B9" : "transparent",
+              fontSize: "12px",
+              color: "#333333",
+              cursor: "pointer",
+            }}
+          >
+            {showWhy ? "Hide details" : "Why this match?"}
+          </button>
+
+          {showWhy && <MatchBreakdown breakdown={breakdown} />}
+        </div>
+      )}
+
       {/* Home photo preview (first photo) */}
       {hasHouse && homePhotos.length > 0 && (
         <div
@@ -590,6 +1049,9 @@ function ProfileCard({ profile }) {
         </div>
       )}
 
+      {/* Room listing */}
+      {hasHouse && <ListingDetails listing={profile.listing} />}
+
       {/* Bio */}
       {profile.bio && (
         <p
@@ -637,6 +1099,166 @@ function ProfileCard({ profile }) {
             <TagRow items={profile.roommatePreferences} />
           </div>
         )}
+
+      {/* Lifestyle questionnaire summary */}
+      {lifestyle.length > 0 && (
+        <div
+          style={{
+            marginTop: "8px",
+            display: "flex",
+            flexWrap: "wrap",
+            gap: "4px 10px",
+            fontSize: "12px",
+            color: "#555555",
+          }}
+        >
+          {lifestyle.map((item) => (
+            <span key={item.key}>
+              {item.icon} {item.text}
+            </span>
+          ))}
+        </div>
+      )}
+
+      {/* Report / Block */}
+      {(onReport || onBlock) && (
+        <SafetyActions onReport={onReport} onBlock={onBlock} />
+      )}
+    </div>
+  );
+}
+
+// ----------------------------------------------------------
+// MatchBreakdown component
+// ----------------------------------------------------------
+//
+// Explains the match score part by part:
+//   - budget: points + how far apart the budgets are
+//   - neighborhoods: points + which areas we share / are close by
+//   - preferences: points + which roommate prefs we share
+//   - commute: points + how long each of us would travel to campus
+// ----------------------------------------------------------
+
+function MatchBreakdown({ breakdown }) {
+  return (
+    <div
+      style={{
+        marginTop: "8px",
+        padding: "10px 12px",
+        borderRadius: "12px",
+        backgroundColor: "#FFFFFF",
+        fontSize: "12px",
+        color: "#444444",
+      }}
+    >
+      {MATCH_DIMENSIONS.map(({ key, label }) => {
+        const part = breakdown[key];
+        // Neither of you cares about this one → nothing to explain
+        if (!part || part.max === 0) return null;
+
+        return (
+          <BreakdownRow key={key} label={label} part={part}>
+            {describePart(key, part)}
+          </BreakdownRow>
+        );
+      })}
+    </div>
+  );
+}
+
+// Details line under each part's points bar
+function describePart(key, part) {
+  if (key === "budget") {
+    if (!part.known) return "One of you hasn't set a budget yet.";
+    return part.gap === 0
+      ? "Your budget ranges overlap."
+      : `Your budgets are ${formatLira(part.gap)} apart.`;
+  }
+
+  if (key === "commute") {
+    if (!part.known) return "Add your campuses to compare commutes.";
+    const lines = [];
+    if (part.toMyCampus) {
+      lines.push(`~${part.toMyCampus.minutes} min to your campus.`);
+    }
+    if (part.toTheirCampus) {
+      lines.push(`~${part.toTheirCampus.minutes} min to theirs.`);
+    }
+    return lines.join(" ");
+  }
+
+  if (key === "lifestyle") {
+    if (!part.known) {
+      return "One of you hasn't answered the lifestyle questions yet.";
+    }
+    const lines = [];
+    if (part.closest.length > 0) {
+      lines.push(`Same answers: ${part.closest.join(", ")}.`);
+    }
+    if (part.different.length > 0) {
+      lines.push(`Quite different: ${part.different.join(", ")}.`);
+    }
+    return lines.length > 0
+      ? lines.join(" ")
+      : "Similar, not identical habits.";
+  }
+
+  const noun = key === "neighborhoods" ? "neighborhoods" : "preferences";
+  if (!part.known) return `One of you hasn't picked ${noun} yet.`;
+
+  // Areas near mine also get some credit
+  const nearby = part.nearby || [];
+  if (part.shared.length === 0 && nearby.length === 0) {
+    return `No ${noun} in common.`;
+  }
+  return (
+    <>
+      {part.shared.length > 0 && <TagRow items={part.shared} />}
+      {nearby.length > 0 && (
+        <div style={{ marginTop: "4px" }}>Close by: {nearby.join(", ")}</div>
+      )}
+    </>
+  );
+}
+
+// One part of the breakdown: label, points bar, details
+function BreakdownRow({ label, part, children }) {
+  const percent = part.max > 0 ? (part.points / part.max) * 100 : 0;
+
+  return (
+    <div style={{ marginBottom: "8px" }}>
+      <div
+        style={{
+          display: "flex",
+          justifyContent: "space-between",
+          fontWeight: "bold",
+          color: "#333333",
+          marginBottom: "3px",
+        }}
+      >
+        <span>{label}</span>
+        <span>
+          {part.points} / {part.max}
+        </span>
+      </div>
+      <div
+        style={{
+          height: "6px",
+          borderRadius: "999px",
+          backgroundColor: "#EEEEEE",
+          overflow: "hidden",
+          marginBottom: "4px",
+        }}
+      >
+        <div
+          style={{
+            width: `${percent}%`,
+            height: "100%",
+            backgroundColor: part.known ? "#8BAA7A" : "#CCCCCC",
+          }}
+        />
+      </div>
+      <div>{children}</div>
     </div>
   );
 }
@@ -4,10 +4,11 @@
 
 import React, { useState } from "react";
 import { useNavigate } from "react-router-dom";
-import { auth } from "../firebase";
+import { useAuth } from "../context/AuthContext";
 
 function VerifyEmail() {
   const navigate = useNavigate();
+  const { refreshUser } = useAuth();
   const [checking, setChecking] = useState(false);
   const [message, setMessage] = useState("");
 
@@ -16,8 +17,8 @@ function VerifyEmail() {
     setMessage("");
 
     try {
-      await auth.currentUser?.reload();
-      const user = auth.currentUser;
+      // Reload so emailVerified is fresh (also updates <AuthProvider>)
+      const user = await refreshUser();
 
       if (user && user.emailVerified) {
         setMessage("Email verified! Redirecting to profile setup...");
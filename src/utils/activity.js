@@ -0,0 +1,29 @@
+// ----------------------------------------------------------
+// activity.js
+//
+// "Recently active" for the swipe deck's sort modes.
+// <AuthProvider> stamps users/{uid}.lastActiveAt when a student
+// opens the app, at most once per ACTIVE_WRITE_INTERVAL_MS so we
+// don't write on every page load.
+// ----------------------------------------------------------
+
+import { doc, serverTimestamp, setDoc } from "firebase/firestore";
+import { db } from "../firebase";
+
+export const ACTIVE_WRITE_INTERVAL_MS = 60 * 60 * 1000; // 1 hour
+
+// Is lastActiveAt on this profile missing or older than the interval?
+export function needsActivityStamp(profile) {
+  if (!profile) return false;
+  const last = profile.lastActiveAt?.toMillis?.() ?? 0;
+  return Date.now() - last > ACTIVE_WRITE_INTERVAL_MS;
+}
+
+// Save "active now" on my profile
+export async function markActive(uid) {
+  await setDoc(
+    doc(db, "users", uid),
+    { lastActiveAt: serverTimestamp() },
+    { merge: true }
+  );
+}
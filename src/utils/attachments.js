@@ -0,0 +1,137 @@
+// ----------------------------------------------------------
+// attachments.js
+//
+// Photo + PDF attachments in chats (room photos, floor plans,
+// lease PDFs).
+//
+// Files go to Firebase Storage under the chat's path:
+//   chats/{chatId}/{senderUid}/{attachmentId}.jpg|.pdf
+//   chats/{chatId}/{senderUid}/{attachmentId}_thumb.jpg   (photos only)
+// storage.rules only lets the two chat participants read them.
+//
+// The message stores a small description of the file:
+//   attachment: { kind: "image" | "pdf", path, thumbPath?, name, size }
+// Only Storage paths are saved, never download URLs: a download URL
+// works for anyone who has it, so it would skip the rules. Files are
+// loaded with the SDK instead (loadAttachmentBlob → getBlob), which
+// checks the rules on every download.
+// ----------------------------------------------------------
+
+import { ref, uploadBytesResumable, getBlob } from "firebase/storage";
+import { storage } from "../firebase";
+import { resizeImage, MAX_PHOTO_BYTES } from "./photos";
+
+// Biggest PDF we accept, same as storage.rules
+// (photos use MAX_PHOTO_BYTES before resizing)
+export const MAX_PDF_BYTES = 10 * 1024 * 1024;
+
+// What the file picker offers
+export const ATTACHMENT_ACCEPT = "image/*,application/pdf";
+
+// Longest side in pixels for chat photos
+const CHAT_PHOTO_SIZES = { full: 1600, thumb: 400 };
+
+// "1.2 MB" / "350 KB"
+export function formatFileSize(bytes) {
+  if (!bytes && bytes !== 0) return "";
+  if (bytes >= 1024 * 1024) return `${(bytes / (1024 * 1024)).toFixed(1)} MB`;
+  return `${Math.max(1, Math.round(bytes / 1024))} KB`;
+}
+
+// Throws a friendly Error if we can't send this file
+export function checkAttachment(file) {
+  if (file.type.startsWith("image/")) {
+    if (file.size > MAX_PHOTO_BYTES) {
+      throw new Error("This photo is too large (max 15 MB).");
+    }
+    return "image";
+  }
+  if (file.type === "application/pdf") {
+    if (file.size > MAX_PDF_BYTES) {
+      throw new Error("This PDF is too large (max 10 MB).");
+    }
+    return "pdf";
+  }
+  throw new Error("You can send photos or PDF files.");
+}
+
+// Upload one Blob and report its uploaded bytes as it goes
+function uploadWithProgress(path, blob, contentType, onBytes) {
+  const task = uploadBytesResumable(ref(storage, path), blob, { contentType });
+
+  return new Promise((resolve, reject) => {
+    task.on(
+      "state_changed",
+      (snap) => onBytes(snap.bytesTransferred),
+      reject,
+      () => resolve(path)
+    );
+  });
+}
+
+// Download an attachment through the SDK (rules are checked).
+// See hooks/useAttachmentUrl.js for turning it into a local URL.
+export function loadAttachmentBlob(path) {
+  return getBlob(ref(storage, path));
+}
+
+// Upload a photo or PDF for a chat message.
+// onProgress(0–1) is called while uploading.
+// Returns the attachment object to save on the message.
+export async function uploadChatAttachment(chatId, uid, file, onProgress) {
+  const kind = checkAttachment(file);
+
+  const attachmentId = `${Date.now()}_${Math.random()
+    .toString(36)
+    .slice(2, 8)}`;
+  const basePath = `chats/${chatId}/${uid}/${attachmentId}`;
+
+  // Files to upload: [{ path, blob, contentType }]
+  let uploads;
+  if (kind === "image") {
+    const [fullBlob, thumbBlob] = await Promise.all([
+      resizeImage(file, CHAT_PHOTO_SIZES.full),
+      resizeImage(file, CHAT_PHOTO_SIZES.thumb),
+    ]);
+    uploads = [
+      { path: `${basePath}.jpg`, blob: fullBlob, contentType: "image/jpeg" },
+      {
+        path: `${basePath}_thumb.jpg`,
+        blob: thumbBlob,
+        contentType: "image/jpeg",
+      },
+    ];
+  } else {
+    uploads = [
+      { path: `${basePath}.pdf`, blob: file, contentType: "application/pdf" },
+    ];
+  }
+
+  // Overall progress = bytes sent for all files / total bytes
+  const totalBytes = uploads.reduce((sum, u) => sum + u.blob.size, 0);
+  const sentBytes = uploads.map(() => 0);
+  const report = () =>
+    onProgress?.(
+      totalBytes > 0
+        ? sentBytes.reduce((sum, b) => sum + b, 0) / totalBytes
+        : 1
+    );
+
+  const [path, thumbPath] = await Promise.all(
+    uploads.map((u, i) =>
+      uploadWithProgress(u.path, u.blob, u.contentType, (bytes) => {
+        sentBytes[i] = bytes;
+        report();
+      })
+    )
+  );
+
+  const attachment = {
+    kind,
+    path,
+    name: file.name || (kind === "pdf" ? "document.pdf" : "photo.jpg"),
+    size: uploads[0].blob.size,
+  };
+  if (thumbPath) attachment.thumbPath = thumbPath;
+  return attachment;
+}
@@ -0,0 +1,66 @@
+// ----------------------------------------------------------
+// budget.js
+//
+// Helpers for the monthly budget range on a profile.
+// Profiles store a monthly range: budgetMin / budgetMax (TRY).
+// Older profiles may only have one "budget" number, which we
+// treat as a range of a single value.
+// ----------------------------------------------------------
+
+import { toNumberOrNull } from "./numbers";
+
+// Returns { min, max } or null if the profile has no budget at all
+export function getBudgetRange(profile) {
+  let min = toNumberOrNull(profile.budgetMin);
+  let max = toNumberOrNull(profile.budgetMax);
+
+  if (min === null && max === null) {
+    const single = toNumberOrNull(profile.budget);
+    if (single === null) return null;
+    return { min: single, max: single };
+  }
+
+  // Only one end filled in → treat it as an exact amount
+  if (min === null) min = max;
+  if (max === null) max = min;
+  return { min: Math.min(min, max), max: Math.max(min, max) };
+}
+
+// How well two budget ranges fit together, from 0 to 1:
+//   - ranges overlap → 0.6 + up to 0.4 for how much they overlap
+//   - ranges don't overlap → less credit the bigger the gap,
+//     reaching 0 when the gap is 50% of the lower budget
+export function budgetOverlapRatio(a, b) {
+  const overlap = Math.min(a.max, b.max) - Math.max(a.min, b.min);
+
+  if (overlap >= 0) {
+    const narrowest = Math.min(a.max - a.min, b.max - b.min);
+    const covered = narrowest > 0 ? Math.min(overlap / narrowest, 1) : 1;
+    return 0.6 + 0.4 * covered;
+  }
+
+  const gap = -overlap;
+  const tolerance = Math.min(a.max, b.max) * 0.5;
+  if (tolerance <= 0) return 0;
+  return 0.6 * Math.max(0, 1 - gap / tolerance);
+}
+
+// How many TRY apart two budget ranges are (0 when they overlap)
+export function budgetGap(a, b) {
+  return Math.max(0, Math.max(a.min, b.min) - Math.min(a.max, b.max));
+}
+
+// "₺12.000"
+export function formatLira(amount) {
+  return `₺${amount.toLocaleString("tr-TR")}`;
+}
+
+// "₺8.000 – ₺12.000" / "₺10.000" / "" for the profile's budget
+export function formatBudget(profile) {
+  const range = getBudgetRange(profile);
+  if (!range) return "";
+  return range.min === range.max
+    ? formatLira(range.min)
+    : `${formatLira(range.min)} – ${formatLira(range.max)}`;
+}
+
@@ -0,0 +1,128 @@
+// ----------------------------------------------------------
+// candidates.js
+//
+// Loads swipe candidates page by page, filtered in Firestore,
+// instead of downloading the whole "users" collection.
+//
+// Filters (all optional, built from MY profile):
+//   - neighborhoodIds → array-contains-any: my catalog areas + the
+//                       ones near them (utils/neighborhoods.js)
+//   - neighborhoods  → array-contains-any on the names, only when
+//                      none of my areas is in the catalog
+//   - housingIntents → "in" the intents that complement mine
+//                      (utils/housingIntent.js)
+//   - gender         → == my roommate gender preference
+//
+// Pages are ordered by the deck's sort mode (utils/deckFilters.js):
+//   best   → document id (the app ranks each page by match score)
+//   newest → createdAt, newest first
+//   active → lastActiveAt, most recent first
+// and continue from a cursor (the last document of the previous page).
+// The date sorts skip profiles without the field; run
+// `npm run backfill:dates` in functions/ once for older profiles.
+// Needs the composite indexes in firestore.indexes.json.
+// ----------------------------------------------------------
+
+import {
+  collection,
+  documentId,
+  getDocs,
+  limit,
+  orderBy,
+  query,
+  startAfter,
+  where,
+} from "firebase/firestore";
+import { db } from "../firebase";
+import { nearbyNeighborhoodIds } from "./neighborhoods";
+import {
+  getHousingIntent,
+  intentsComplement,
+  targetIntentsFor,
+} from "./housingIntent";
+
+export const CANDIDATE_PAGE_SIZE = 20;
+
+// Profile field each date sort mode orders by
+const SORT_FIELDS = {
+  newest: "createdAt",
+  active: "lastActiveAt",
+};
+
+// Firestore allows up to 30 values for array-contains-any, and
+// neighborhoods (or ids) × intents (max 2) must also stay within 30
+const MAX_NEIGHBORHOOD_FILTERS = 10;
+
+// Turn my profile into Firestore filters for the deck
+export function buildCandidateFilters(myProfile) {
+  const neighborhoodIds = nearbyNeighborhoodIds(
+    Array.isArray(myProfile.neighborhoodIds) ? myProfile.neighborhoodIds : [],
+    MAX_NEIGHBORHOOD_FILTERS
+  );
+  const neighborhoods =
+    neighborhoodIds.length === 0 && Array.isArray(myProfile.neighborhoods)
+      ? myProfile.neighborhoods
+          .map((n) => String(n).trim())
+          .filter((n) => n.length > 0)
+          .slice(0, MAX_NEIGHBORHOOD_FILTERS)
+      : [];
+
+  return {
+    neighborhoodIds,
+    neighborhoods,
+    // e.g. room-holders only see seekers, never other room-holders
+    housingIntents: targetIntentsFor(getHousingIntent(myProfile)),
+    gender: myProfile.genderPreference || null,
+  };
+}
+
+// Does this candidate's own gender preference (and intent) allow me?
+// (checked on the client, so older profiles without the field still show)
+export function candidateAcceptsMe(candidate, myProfile) {
+  if (!intentsComplement(candidate, myProfile)) return false;
+  if (!candidate.genderPreference) return true;
+  return candidate.genderPreference === myProfile.gender;
+}
+
+// Fetch one page of candidates.
+// Returns { profiles: [{ id, ...data }], cursor, done }
+export async function fetchCandidatePage({
+  filters,
+  sort = "best",
+  cursor = null,
+  pageSize = CANDIDATE_PAGE_SIZE,
+}) {
+  const constraints = [];
+
+  if (filters.neighborhoodIds && filters.neighborhoodIds.length > 0) {
+    constraints.push(
+      where("neighborhoodIds", "array-contains-any", filters.neighborhoodIds)
+    );
+  } else if (filters.neighborhoods && filters.neighborhoods.length > 0) {
+    constraints.push(
+      where("neighborhoods", "array-contains-any", filters.neighborhoods)
+    );
+  }
+  if (filters.housingIntents && filters.housingIntents.length > 0) {
+    constraints.push(where("housingIntent", "in", filters.housingIntents));
+  }
+  if (filters.gender) {
+    constraints.push(where("gender", "==", filters.gender));
+  }
+
+  if (SORT_FIELDS[sort]) {
+    constraints.push(orderBy(SORT_FIELDS[sort], "desc"));
+  } else {
+    constraints.push(orderBy(documentId()));
+  }
+  if (cursor) constraints.push(startAfter(cursor));
+  constraints.push(limit(pageSize));
+
+  const snap = await getDocs(query(collection(db, "users"), ...constraints));
+
+  return {
+    profiles: snap.docs.map((d) => ({ id: d.id, ...d.data() })),
+    cursor: snap.docs.length > 0 ? snap.docs[snap.docs.length - 1] : cursor,
+    done: snap.docs.length < pageSize,
+  };
+}
@@ -0,0 +1,304 @@
+// ----------------------------------------------------------
+// chats.js
+//
+// Chat rooms between two matched students.
+//
+// Firestore structure:
+//   chats/{chatId} → {
+//     participants: [uidA, uidB],          // sorted
+//     updatedAt,                           // time of the last message
+//     lastMessage,                         // short preview of it
+//     lastSenderUid,
+//     lastReadAt:  { [uid]: timestamp },   // when each person last read
+//     lastDeliveredAt: { [uid]: timestamp }, // when their app last got it
+//     unreadCount: { [uid]: number },      // messages they haven't read
+//     typing:      { [uid]: timestamp },   // set while typing, then removed
+//   }
+//   chats/{chatId}/messages/{messageId} → {
+//     text, fromUid, toUid, createdAt,
+//     attachment?   // photo / PDF, see utils/attachments.js
+//   }
+//
+// chatId = pairIdFor(uidA, uidB) (utils/matches.js), so both
+// sides always open the same room.
+// Used by Chat.jsx (sending, reading, receipts, typing),
+// Messages.jsx (chat list) and AuthProvider.jsx (delivered ticks
+// while the app is open on any page).
+// ----------------------------------------------------------
+
+import {
+  collection,
+  deleteField,
+  doc,
+  endBefore,
+  getDocs,
+  increment,
+  limitToLast,
+  onSnapshot,
+  orderBy,
+  query,
+  serverTimestamp,
+  setDoc,
+  startAt,
+  where,
+  writeBatch,
+} from "firebase/firestore";
+import { db } from "../firebase";
+
+// Longest preview stored on the chat document
+const PREVIEW_LENGTH = 120;
+
+// How many messages to load at a time in Chat
+export const MESSAGE_PAGE_SIZE = 30;
+
+// Write "I'm typing" at most this often while the user keeps typing
+export const TYPING_THROTTLE_MS = 3000;
+
+// Hide the other person's "typing…" if no new signal arrives in time
+// (e.g. they closed the app without clearing it)
+export const TYPING_TIMEOUT_MS = 6000;
+
+// Make sure the chat document exists (doesn't touch updatedAt,
+// so just opening a chat doesn't move it to the top of the list)
+export async function ensureChat(chatId, myUid, otherUid) {
+  await setDoc(
+    doc(db, "chats", chatId),
+    { participants: [myUid, otherUid].sort() },
+    { merge: true }
+  );
+}
+
+// Preview line for the chat list
+function previewFor(text, attachment) {
+  if (text) return text.slice(0, PREVIEW_LENGTH);
+  if (attachment?.kind === "image") return "📷 Photo";
+  if (attachment) return `📄 ${attachment.name}`.slice(0, PREVIEW_LENGTH);
+  return "";
+}
+
+// Add a message (text and/or attachment) and update the chat
+// preview in one batch
+export async function sendMessage(
+  chatId,
+  { text = "", fromUid, toUid, attachment = null }
+) {
+  const chatRef = doc(db, "chats", chatId);
+  const messageRef = doc(collection(db, "chats", chatId, "messages"));
+  const batch = writeBatch(db);
+
+  const message = {
+    text,
+    fromUid,
+    toUid,
+    createdAt: serverTimestamp(),
+  };
+  if (attachment) message.attachment = attachment;
+  batch.set(messageRef, message);
+
+  batch.set(
+    chatRef,
+    {
+      participants: [fromUid, toUid].sort(),
+      updatedAt: serverTimestamp(),
+      lastMessage: previewFor(text, attachment),
+      lastSenderUid: fromUid,
+      // Sending counts as reading everything before it
+      lastReadAt: { [fromUid]: serverTimestamp() },
+      unreadCount: { [fromUid]: 0, [toUid]: increment(1) },
+      typing: { [fromUid]: deleteField() },
+    },
+    { merge: true }
+  );
+
+  await batch.commit();
+}
+
+// I've seen every message in this chat
+export async function markChatRead(chatId, myUid) {
+  await setDoc(
+    doc(db, "chats", chatId),
+    {
+      lastReadAt: { [myUid]: serverTimestamp() },
+      lastDeliveredAt: { [myUid]: serverTimestamp() },
+      unreadCount: { [myUid]: 0 },
+    },
+    { merge: true }
+  );
+}
+
+// The new messages reached my device (I haven't opened them yet)
+export async function markChatDelivered(chatId, myUid) {
+  await setDoc(
+    doc(db, "chats", chatId),
+    { lastDeliveredAt: { [myUid]: serverTimestamp() } },
+    { merge: true }
+  );
+}
+
+// Start / stop showing "typing…" to the other person
+export async function setTyping(chatId, myUid, isTyping) {
+  await setDoc(
+    doc(db, "chats", chatId),
+    { typing: { [myUid]: isTyping ? serverTimestamp() : deleteField() } },
+    { merge: true }
+  );
+}
+
+// State of one of MY messages, for the ticks under the bubble:
+//   "sending"   → not on the server yet
+//   "sent"      → saved on the server
+//   "delivered" → reached the other person's app
+//   "seen"      → they opened the chat after it arrived
+export function messageStatus(message, chat, otherUid) {
+  if (message.pending || !message.createdAt) return "sending";
+
+  const sentAt = message.createdAt.toMillis();
+  const readAt = chat?.lastReadAt?.[otherUid]?.toMillis?.() ?? 0;
+  const deliveredAt = chat?.lastDeliveredAt?.[otherUid]?.toMillis?.() ?? 0;
+
+  if (readAt >= sentAt) return "seen";
+  if (deliveredAt >= sentAt) return "delivered";
+  return "sent";
+}
+
+// ---------- Message history ----------
+//
+// Chat opens with the latest MESSAGE_PAGE_SIZE messages, listens live
+// from the oldest of those onward (so new messages keep arriving),
+// and loads older pages on demand. Each page returns:
+//   { messages: [...], oldestDoc, hasOlder }
+// oldestDoc is the Firestore snapshot to continue from.
+
+// One message doc → plain object.
+// A message I just sent has no server time yet: use the local
+// estimate so it sorts last and shows "now", and flag it as pending.
+function toMessage(docSnap) {
+  return {
+    id: docSnap.id,
+    ...docSnap.data({ serverTimestamps: "estimate" }),
+    pending: docSnap.metadata.hasPendingWrites,
+  };
+}
+
+function messagesQuery(chatId, ...constraints) {
+  return query(
+    collection(db, "chats", chatId, "messages"),
+    orderBy("createdAt", "asc"),
+    ...constraints
+  );
+}
+
+async function fetchMessagePage(chatId, ...constraints) {
+  const snap = await getDocs(
+    messagesQuery(chatId, ...constraints, limitToLast(MESSAGE_PAGE_SIZE))
+  );
+  return {
+    messages: snap.docs.map(toMessage),
+    oldestDoc: snap.docs[0] || null,
+    hasOlder: snap.docs.length === MESSAGE_PAGE_SIZE,
+  };
+}
+
+// The newest page of a chat
+export function fetchLatestMessages(chatId) {
+  return fetchMessagePage(chatId);
+}
+
+// The page just before beforeDoc
+export function fetchOlderMessages(chatId, beforeDoc) {
+  return fetchMessagePage(chatId, endBefore(beforeDoc));
+}
+
+// Live messages from fromDoc onward (the whole chat if fromDoc is null).
+// Metadata changes are included so "sending" turns into "sent".
+// Returns the unsubscribe function.
+export function subscribeToMessagesFrom(chatId, fromDoc, onChange, onError) {
+  const q = fromDoc
+    ? messagesQuery(chatId, startAt(fromDoc))
+    : messagesQuery(chatId);
+
+  return onSnapshot(
+    q,
+    { includeMetadataChanges: true },
+    (snapshot) => onChange(snapshot.docs.map(toMessage)),
+    (err) => {
+      console.error("Error listening to messages:", err);
+      onError?.(err);
+    }
+  );
+}
+
+// Live chats/{chatId} document (receipts + typing).
+// Returns the unsubscribe function.
+export function subscribeToChat(chatId, onChange) {
+  return onSnapshot(
+    doc(db, "chats", chatId),
+    (snap) => onChange(snap.exists() ? snap.data() : null),
+    (err) => console.error("Error listening to chat:", err)
+  );
+}
+
+// How many messages in this chat I haven't read yet
+export function unreadCountFor(chat, myUid) {
+  const count = Number(chat?.unreadCount?.[myUid]);
+  return Number.isFinite(count) && count > 0 ? count : 0;
+}
+
+// Live list of my chats, most recent activity first
+// (needs the chats index in firestore.indexes.json).
+// Calls onChange([{ id, otherUid, ...chatData }]) on every change.
+// Returns the unsubscribe function.
+export function subscribeToMyChats(myUid, onChange, onError) {
+  const q = query(
+    collection(db, "chats"),
+    where("participants", "array-contains", myUid),
+    orderBy("updatedAt", "desc")
+  );
+
+  return onSnapshot(
+    q,
+    (snapshot) => {
+      onChange(
+        snapshot.docs.map((d) => {
+          // Show our own just-sent message before the server time arrives
+          const data = d.data({ serverTimestamps: "estimate" });
+          return {
+            id: d.id,
+            otherUid: (data.participants || []).find((uid) => uid !== myUid),
+            ...data,
+          };
+        })
+      );
+    },
+    (err) => {
+      console.error("Error listening to chats:", err);
+      onError?.(err);
+    }
+  );
+}
+
+// While the app is open (any page), mark new messages from the other
+// person as "delivered" for their ticks. Returns the unsubscribe.
+// Archived chats (unmatched) are skipped: the rules refuse writes
+// once the match is gone.
+export function watchDeliveries(myUid) {
+  // "chatId:updatedAt" already marked (one write per new message)
+  const marked = new Set();
+
+  return subscribeToMyChats(myUid, (chats) => {
+    chats.forEach((chat) => {
+      if (chat.archived) return;
+      if (!chat.lastSenderUid || chat.lastSenderUid === myUid) return;
+
+      const updatedAt = chat.updatedAt?.toMillis?.() ?? 0;
+      const deliveredAt = chat.lastDeliveredAt?.[myUid]?.toMillis?.() ?? 0;
+      const key = `${chat.id}:${updatedAt}`;
+      if (deliveredAt >= updatedAt || marked.has(key)) return;
+
+      marked.add(key);
+      markChatDelivered(chat.id, myUid).catch((err) =>
+        console.error("Error marking chat as delivered:", err)
+      );
+    });
+  });
+}
@@ -0,0 +1,115 @@
+// ----------------------------------------------------------
+// commute.js
+//
+// Campuses (src/data/campuses.json, bundled with the app) and a
+// rough commute estimate from where someone would live to a
+// campus. Pure functions only (no Firebase).
+//
+// Profiles save campusId (e.g. "metu"), suggested from the
+// university email domain (campusForEmail).
+//
+// "Where they'd live" = their listing's area when they have one,
+// otherwise their neighborhoods (catalog areas only, see
+// utils/neighborhoods.js). The estimate is straight-line distance
+// × MINUTES_PER_KM + WAIT_MINUTES (walking to / waiting for the
+// bus or metro): good enough to compare, not a route planner.
+// ----------------------------------------------------------
+
+import campuses from "../data/campuses.json";
+import { distanceKm, findNeighborhood } from "./neighborhoods";
+
+export const CAMPUSES = campuses;
+
+const MINUTES_PER_KM = 3;
+const WAIT_MINUTES = 10;
+
+// Commutes up to this long are "perfect", from this long on "bad"
+const GOOD_COMMUTE_MINUTES = 20;
+const BAD_COMMUTE_MINUTES = 60;
+
+// Campus for an id (or null)
+export function getCampus(campusId) {
+  return CAMPUSES.find((c) => c.id === campusId) || null;
+}
+
+// Suggested campus for a university email ("ali@ug.bilkent.edu.tr"
+// → Bilkent). Universities with several campuses suggest the first.
+export function campusForEmail(email) {
+  const domain = String(email || "")
+    .trim()
+    .toLowerCase()
+    .split("@")[1];
+  if (!domain) return null;
+
+  return (
+    CAMPUSES.find((c) =>
+      c.domains.some((d) => domain === d || domain.endsWith(`.${d}`))
+    ) || null
+  );
+}
+
+// Catalog areas a profile would live in
+function homeAreas(profile) {
+  // They have a place: that's where we'd live
+  const listingArea = findNeighborhood(profile?.listing?.area);
+  if (listingArea) return [listingArea];
+
+  const names = Array.isArray(profile?.neighborhoods)
+    ? profile.neighborhoods
+    : [];
+  return names.map(findNeighborhood).filter(Boolean);
+}
+
+// Shortest commute from the profile's areas to a campus.
+// Returns { minutes, km, from: area name } or null when unknown.
+export function estimateCommute(profile, campus) {
+  if (!campus) return null;
+  const areas = homeAreas(profile);
+  if (areas.length === 0) return null;
+
+  let best = null;
+  areas.forEach((area) => {
+    const km = distanceKm(area, campus);
+    if (!best || km < best.km) best = { km, from: area.name };
+  });
+
+  return {
+    ...best,
+    minutes: Math.round(best.km * MINUTES_PER_KM + WAIT_MINUTES),
+  };
+}
+
+// 0–1: how good a commute is (1 = short, 0 = an hour or more)
+function commuteQuality(minutes) {
+  if (minutes <= GOOD_COMMUTE_MINUTES) return 1;
+  if (minutes >= BAD_COMMUTE_MINUTES) return 0;
+  return (
+    1 -
+    (minutes - GOOD_COMMUTE_MINUTES) /
+      (BAD_COMMUTE_MINUTES - GOOD_COMMUTE_MINUTES)
+  );
+}
+
+// Commute part of the match score (utils/matchScore.js):
+// living where the OTHER person would live, how far is each of us
+// from our own campus? Averaged over the directions we know, so
+// A→B and B→A give the same result.
+// Returns { similarity (0–1) or null, toMyCampus, toTheirCampus }
+export function compareCommutes(me, other) {
+  const toMyCampus = estimateCommute(other, getCampus(me.campusId));
+  const toTheirCampus = estimateCommute(me, getCampus(other.campusId));
+
+  const known = [toMyCampus, toTheirCampus].filter(Boolean);
+  const similarity =
+    known.length === 0
+      ? null
+      : known.reduce((sum, c) => sum + commuteQuality(c.minutes), 0) /
+        known.length;
+
+  return { similarity, toMyCampus, toTheirCampus };
+}
+
+// "~25 min to ODTÜ (METU) from Kolej"
+export function formatCommute(commute, campus) {
+  return `~${commute.minutes} min to ${campus.name} from ${commute.from}`;
+}
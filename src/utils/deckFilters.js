@@ -0,0 +1,187 @@
+// ----------------------------------------------------------
+// deckFilters.js
+//
+// Filters + sort mode for the swipe deck (DeckFilterSheet.jsx),
+// saved per student as users/{uid}.deckFilters:
+//   {
+//     ageMin, ageMax,        number or null
+//     genders: [...],        candidate gender is one of these
+//     hasPlace,              "any" | "yes" | "no"
+//     neighborhoods: [...],  candidate lists at least one of these
+//                            (same area, any spelling)
+//     preferences: [...],    candidate has ALL of these tags
+//     minScore,              0–100 (after scoring)
+//     sort,                  "best" | "newest" | "active"
+//     listing: {...}         room filters, see utils/listings.js
+//   }
+//
+// SwipeMatch applies them to every page it loads:
+//   1) profileMatchesDeckFilters → before ranking
+//   2) rankProfilesWithMatchScore
+//   3) finishDeckPage → minimum score + sort mode
+// For "newest" / "active" the Firestore query itself is ordered by
+// that date (utils/candidates.js); finishDeckPage puts each page
+// back in date order after ranking reordered it by score.
+// ----------------------------------------------------------
+
+import { doc, setDoc } from "firebase/firestore";
+import { db } from "../firebase";
+import {
+  DEFAULT_LISTING_FILTERS,
+  hasListingFilters,
+  listingMatchesFilters,
+} from "./listings";
+import { isSameNeighborhood } from "./neighborhoods";
+import { toNumberOrNull } from "./numbers";
+
+export const SORT_MODES = [
+  { value: "best", label: "Best match" },
+  { value: "newest", label: "Newest profiles" },
+  { value: "active", label: "Recently active" },
+];
+
+export const GENDER_OPTIONS = ["Female", "Male", "Non-binary"];
+
+export const HAS_PLACE_OPTIONS = [
+  { value: "any", label: "Any" },
+  { value: "yes", label: "Has a place" },
+  { value: "no", label: "No place yet" },
+];
+
+export const DEFAULT_DECK_FILTERS = {
+  ageMin: null,
+  ageMax: null,
+  genders: [],
+  hasPlace: "any",
+  neighborhoods: [],
+  preferences: [],
+  minScore: 0,
+  sort: "best",
+  listing: DEFAULT_LISTING_FILTERS,
+};
+
+// Helper: list of non-empty strings
+function toStringList(value) {
+  return Array.isArray(value)
+    ? value.map((v) => String(v).trim()).filter((v) => v.length > 0)
+    : [];
+}
+
+function normalize(value) {
+  return String(value).trim().toLowerCase();
+}
+
+// Saved / edited filters → valid filters (missing parts use defaults)
+export function cleanDeckFilters(raw) {
+  const filters = raw || {};
+  const listing = filters.listing || {};
+  const minScore = toNumberOrNull(filters.minScore) ?? 0;
+
+  return {
+    ageMin: toNumberOrNull(filters.ageMin),
+    ageMax: toNumberOrNull(filters.ageMax),
+    genders: toStringList(filters.genders),
+    hasPlace: HAS_PLACE_OPTIONS.some((o) => o.value === filters.hasPlace)
+      ? filters.hasPlace
+      : "any",
+    neighborhoods: toStringList(filters.neighborhoods),
+    preferences: toStringList(filters.preferences),
+    minScore: Math.max(0, Math.min(100, minScore)),
+    sort: SORT_MODES.some((m) => m.value === filters.sort)
+      ? filters.sort
+      : "best",
+    listing: {
+      maxRent: toNumberOrNull(listing.maxRent),
+      billsIncluded: Boolean(listing.billsIncluded),
+      furnishedOnly: Boolean(listing.furnishedOnly),
+      availableBy:
+        typeof listing.availableBy === "string" ? listing.availableBy : "",
+      maxLeaseMonths: toNumberOrNull(listing.maxLeaseMonths),
+    },
+  };
+}
+
+// How many filters are switched on (sort mode doesn't count)
+export function countActiveFilters(filters) {
+  let count = 0;
+  if (filters.ageMin !== null || filters.ageMax !== null) count++;
+  if (filters.genders.length > 0) count++;
+  if (filters.hasPlace !== "any") count++;
+  if (filters.neighborhoods.length > 0) count++;
+  if (filters.preferences.length > 0) count++;
+  if (filters.minScore > 0) count++;
+  if (hasListingFilters(filters.listing)) count++;
+  return count;
+}
+
+// Does this candidate pass my filters? (everything but minScore)
+// Unknown values (e.g. no age given) don't pass an active filter.
+export function profileMatchesDeckFilters(profile, filters) {
+  if (filters.ageMin !== null || filters.ageMax !== null) {
+    const age = toNumberOrNull(profile.age);
+    if (age === null) return false;
+    if (filters.ageMin !== null && age < filters.ageMin) return false;
+    if (filters.ageMax !== null && age > filters.ageMax) return false;
+  }
+
+  if (
+    filters.genders.length > 0 &&
+    !filters.genders.includes(profile.gender)
+  ) {
+    return false;
+  }
+
+  if (filters.hasPlace === "yes" && !profile.hasHouse) return false;
+  if (filters.hasPlace === "no" && profile.hasHouse) return false;
+
+  if (filters.neighborhoods.length > 0) {
+    const theirs = toStringList(profile.neighborhoods);
+    const wanted = filters.neighborhoods;
+    const hasOne = wanted.some((w) =>
+      theirs.some((t) => isSameNeighborhood(w, t))
+    );
+    if (!hasOne) return false;
+  }
+
+  if (filters.preferences.length > 0) {
+    const theirs = toStringList(profile.roommatePreferences).map(normalize);
+    const wanted = filters.preferences.map(normalize);
+    if (!wanted.every((p) => theirs.includes(p))) return false;
+  }
+
+  return listingMatchesFilters(profile.listing, filters.listing);
+}
+
+// Milliseconds for a Firestore Timestamp (or 0)
+function toMillis(timestamp) {
+  return timestamp?.toMillis?.() ?? 0;
+}
+
+// Ranked page → minimum score + sort mode
+// ("best" keeps the ranking order; ties fall back to it too)
+export function finishDeckPage(rankedProfiles, filters) {
+  const kept = rankedProfiles.filter(
+    (p) => (p.matchScore ?? 0) >= filters.minScore
+  );
+
+  if (filters.sort === "newest") {
+    return [...kept].sort(
+      (a, b) => toMillis(b.createdAt) - toMillis(a.createdAt)
+    );
+  }
+  if (filters.sort === "active") {
+    return [...kept].sort(
+      (a, b) => toMillis(b.lastActiveAt) - toMillis(a.lastActiveAt)
+    );
+  }
+  return kept;
+}
+
+// Save my filters on my profile
+export async function saveDeckFilters(uid, filters) {
+  await setDoc(
+    doc(db, "users", uid),
+    { deckFilters: cleanDeckFilters(filters) },
+    { merge: true }
+  );
+}
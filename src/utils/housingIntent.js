@@ -0,0 +1,81 @@
+// ----------------------------------------------------------
+// housingIntent.js
+//
+// What a student is looking for, saved as "housingIntent" on
+// users/{uid}:
+//   "offering"     → I have a room and want a roommate for it
+//   "seeking"      → I'm looking for a room
+//   "cosearching"  → I want someone to search for a place with
+//
+// The swipe deck only shows complementary intents:
+//   offering    ↔ seeking
+//   seeking     ↔ cosearching (look for a place together)
+//   cosearching ↔ cosearching
+// Nobody sees other room-holders.
+//
+// Older profiles only have hasHouse (true → "offering",
+// otherwise "seeking"). hasHouse is still saved next to the
+// intent, since listings and home photos use it.
+// ----------------------------------------------------------
+
+export const HOUSING_INTENTS = [
+  {
+    value: "offering",
+    icon: "🏠",
+    label: "I have a room",
+    badge: "Has a room",
+    hint: "You’ll see students looking for a room.",
+  },
+  {
+    value: "seeking",
+    icon: "🔑",
+    label: "I’m looking for a room",
+    badge: "Looking for a room",
+    hint: "You’ll see students with a room, and co-searchers.",
+  },
+  {
+    value: "cosearching",
+    icon: "🤝",
+    label: "Find a co-searcher",
+    badge: "Co-searching",
+    hint: "You’ll see students who want to find a place together.",
+  },
+];
+
+// Who each intent wants to see in the deck
+const TARGET_INTENTS = {
+  offering: ["seeking"],
+  seeking: ["offering", "cosearching"],
+  cosearching: ["seeking", "cosearching"],
+};
+
+// A profile's intent (falls back to hasHouse for older profiles)
+export function getHousingIntent(profile) {
+  if (TARGET_INTENTS[profile?.housingIntent]) return profile.housingIntent;
+  return profile?.hasHouse ? "offering" : "seeking";
+}
+
+// The intent's { value, icon, label, badge, hint }
+export function housingIntentInfo(intent) {
+  return (
+    HOUSING_INTENTS.find((i) => i.value === intent) || HOUSING_INTENTS[1]
+  );
+}
+
+// Intents I should see when my intent is `intent`
+export function targetIntentsFor(intent) {
+  return TARGET_INTENTS[intent] || TARGET_INTENTS.seeking;
+}
+
+// Do these two profiles want to see each other?
+// (the table is symmetric, so one direction is enough)
+export function intentsComplement(profileA, profileB) {
+  return targetIntentsFor(getHousingIntent(profileA)).includes(
+    getHousingIntent(profileB)
+  );
+}
+
+// Fields to save on users/{uid} when the intent changes
+export function housingIntentFields(intent) {
+  return { housingIntent: intent, hasHouse: intent === "offering" };
+}
@@ -0,0 +1,171 @@
+// ----------------------------------------------------------
+// lifestyle.js
+//
+// The lifestyle questionnaire from CreateProfile.
+// Answers are saved on users/{uid} as:
+//   lifestyle: { sleepSchedule: 3, cleanliness: 4, ... }
+//
+// Every answer is a number on a small scale (options are in
+// order), so two answers can be compared by their distance:
+// same answer → 1, opposite ends of the scale → 0.
+// Used by utils/matchScore.js and the ProfileCard summary.
+//
+// Some answers also carry a preference "tag" (e.g. Smoker →
+// "smoker") so dealbreakers in matchScore.js see them the same
+// way as typed roommate preferences. Middle answers ("Smoke
+// outside only") have no tag: they don't break a dealbreaker.
+// ----------------------------------------------------------
+
+export const LIFESTYLE_QUESTIONS = [
+  {
+    key: "sleepSchedule",
+    label: "Sleep schedule",
+    icon: "🌙",
+    options: [
+      { value: 1, label: "Early bird", tag: "early bird" },
+      { value: 2, label: "In between" },
+      { value: 3, label: "Night owl", tag: "night owl" },
+    ],
+  },
+  {
+    key: "cleanliness",
+    label: "Cleanliness",
+    icon: "🧹",
+    options: [
+      { value: 1, label: "Very relaxed" },
+      { value: 2, label: "Relaxed" },
+      { value: 3, label: "Average" },
+      { value: 4, label: "Tidy" },
+      { value: 5, label: "Spotless" },
+    ],
+  },
+  {
+    key: "guests",
+    label: "Guests over",
+    icon: "👥",
+    options: [
+      { value: 1, label: "Rarely" },
+      { value: 2, label: "Sometimes" },
+      { value: 3, label: "Often" },
+    ],
+  },
+  {
+    key: "noiseTolerance",
+    label: "Noise tolerance",
+    icon: "🔊",
+    options: [
+      { value: 1, label: "Need quiet" },
+      { value: 2, label: "Some noise is fine" },
+      { value: 3, label: "Noise doesn't bother me" },
+    ],
+  },
+  {
+    key: "smoking",
+    label: "Smoking",
+    icon: "🚬",
+    options: [
+      { value: 1, label: "Non-smoker", tag: "non-smoker" },
+      { value: 2, label: "Smoke outside only" },
+      { value: 3, label: "Smoker", tag: "smoker" },
+    ],
+  },
+  {
+    key: "pets",
+    label: "Pets",
+    icon: "🐾",
+    options: [
+      { value: 1, label: "No pets please", tag: "no pets" },
+      { value: 2, label: "Fine with pets" },
+      { value: 3, label: "Have a pet", tag: "has a pet" },
+    ],
+  },
+  {
+    key: "cooking",
+    label: "Cooking at home",
+    icon: "🍳",
+    options: [
+      { value: 1, label: "Rarely cook" },
+      { value: 2, label: "Cook sometimes" },
+      { value: 3, label: "Cook most days" },
+    ],
+  },
+  {
+    key: "studyAtHome",
+    label: "Studying at home",
+    icon: "📚",
+    options: [
+      { value: 1, label: "Study elsewhere" },
+      { value: 2, label: "Study at home sometimes" },
+      { value: 3, label: "Study at home most days" },
+    ],
+  },
+];
+
+// The answer (number) a profile gave, or null if unanswered / invalid
+export function getLifestyleAnswer(profile, key) {
+  const question = LIFESTYLE_QUESTIONS.find((q) => q.key === key);
+  const value = Number(profile?.lifestyle?.[key]);
+  if (!question || !question.options.some((o) => o.value === value)) {
+    return null;
+  }
+  return value;
+}
+
+// Keep only valid answers (used before saving the profile)
+export function cleanLifestyle(answers) {
+  const cleaned = {};
+  LIFESTYLE_QUESTIONS.forEach(({ key }) => {
+    const value = getLifestyleAnswer({ lifestyle: answers }, key);
+    if (value !== null) cleaned[key] = value;
+  });
+  return cleaned;
+}
+
+// Compare two profiles' answers.
+// Returns { similarity 0–1 | null, closest: [labels], different: [labels] }
+// similarity is null when no question was answered by both.
+export function compareLifestyles(a, b) {
+  const scores = [];
+  const closest = [];
+  const different = [];
+
+  LIFESTYLE_QUESTIONS.forEach((q) => {
+    const mine = getLifestyleAnswer(a, q.key);
+    const theirs = getLifestyleAnswer(b, q.key);
+    if (mine === null || theirs === null) return;
+
+    const range = q.options.length - 1;
+    const score = 1 - Math.abs(mine - theirs) / range;
+    scores.push(score);
+
+    if (score === 1) closest.push(q.label);
+    else if (score <= 0.5) different.push(q.label);
+  });
+
+  return {
+    similarity:
+      scores.length > 0
+        ? scores.reduce((sum, s) => sum + s, 0) / scores.length
+        : null,
+    closest,
+    different,
+  };
+}
+
+// Short list for cards: [{ key, icon, text }] for each answered question
+export function lifestyleSummary(profile) {
+  return LIFESTYLE_QUESTIONS.map((q) => {
+    const value = getLifestyleAnswer(profile, q.key);
+    if (value === null) return null;
+    const option = q.options.find((o) => o.value === value);
+    return { key: q.key, icon: q.icon, text: option.label };
+  }).filter(Boolean);
+}
+
+// Preference tags from the answers, e.g. ["non-smoker", "no pets"]
+export function lifestyleTags(profile) {
+  return LIFESTYLE_QUESTIONS.map((q) => {
+    const value = getLifestyleAnswer(profile, q.key);
+    return q.options.find((o) => o.value === value)?.tag;
+  }).filter(Boolean);
+}
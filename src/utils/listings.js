@@ -0,0 +1,229 @@
+// ----------------------------------------------------------
+// listings.js
+//
+// Room / house listings, kept apart from the personal profile.
+// A student who has a place (hasHouse) can describe it once:
+//
+//   listings/{ownerUid} → {
+//     ownerUid,
+//     rent,              monthly rent for the free room (₺)
+//     billsIncluded,     true when bills are part of the rent
+//     area,              neighborhood, e.g. "Kolej"
+//     roomsAvailable,    free rooms
+//     totalRooms,        rooms in the flat (e.g. 3 for a 3+1)
+//     availableFrom,     "YYYY-MM-DD" or null (= right now)
+//     furnishing,        "furnished" | "partly" | "unfurnished"
+//     leaseMonths,       minimum stay in months, null = flexible
+//     updatedAt
+//   }
+//
+// Home photos stay on the profile (homePhotos, see photos.js).
+// The swipe deck, Matches and the profile preview load listings
+// for students with hasHouse and show them with <ListingDetails>.
+// ----------------------------------------------------------
+
+import {
+  deleteDoc,
+  doc,
+  getDoc,
+  serverTimestamp,
+  setDoc,
+} from "firebase/firestore";
+import { db } from "../firebase";
+import { formatLira } from "./budget";
+import { loadDocsByIds } from "./loadByIds";
+import { toWholeNumberOrNull } from "./numbers";
+
+export const FURNISHING_OPTIONS = [
+  { value: "furnished", label: "Furnished" },
+  { value: "partly", label: "Partly furnished" },
+  { value: "unfurnished", label: "Unfurnished" },
+];
+
+// Minimum stay choices (null = flexible)
+export const LEASE_OPTIONS = [
+  { value: null, label: "Flexible" },
+  { value: 3, label: "3+ months" },
+  { value: 6, label: "6+ months" },
+  { value: 12, label: "12+ months" },
+];
+
+// Listing filters for seekers in SwipeMatch (all off by default)
+export const DEFAULT_LISTING_FILTERS = {
+  maxRent: null, // number or null
+  billsIncluded: false, // only listings with bills included
+  furnishedOnly: false, // furnished or partly furnished
+  availableBy: "", // "YYYY-MM-DD": free on or before this day
+  maxLeaseMonths: null, // minimum stay no longer than this
+};
+
+// Only keep known fields, with the right types
+export function cleanListing(listing) {
+  const furnishing = FURNISHING_OPTIONS.some(
+    (o) => o.value === listing.furnishing
+  )
+    ? listing.furnishing
+    : null;
+  const availableFrom = /^\d{4}-\d{2}-\d{2}$/.test(listing.availableFrom || "")
+    ? listing.availableFrom
+    : null;
+
+  return {
+    rent: toWholeNumberOrNull(listing.rent, 0),
+    billsIncluded: Boolean(listing.billsIncluded),
+    area: String(listing.area || "")
+      .trim()
+      .slice(0, 60),
+    roomsAvailable: toWholeNumberOrNull(listing.roomsAvailable, 0),
+    totalRooms: toWholeNumberOrNull(listing.totalRooms, 0),
+    availableFrom,
+    furnishing,
+    leaseMonths: toWholeNumberOrNull(listing.leaseMonths, 0),
+  };
+}
+
+// My listing (or null if I haven't created one)
+export async function loadListing(ownerUid) {
+  const snap = await getDoc(doc(db, "listings", ownerUid));
+  return snap.exists() ? snap.data() : null;
+}
+
+// Create or update my listing
+export async function saveListing(ownerUid, listing) {
+  await setDoc(doc(db, "listings", ownerUid), {
+    ownerUid,
+    ...cleanListing(listing),
+    updatedAt: serverTimestamp(),
+  });
+}
+
+// Remove my listing (e.g. the room was taken)
+export async function deleteListing(ownerUid) {
+  await deleteDoc(doc(db, "listings", ownerUid));
+}
+
+// Load listings for many owners at once (see utils/loadByIds.js).
+// Returns a Map ownerUid → listing.
+export function loadListingsByOwners(ownerUids) {
+  return loadDocsByIds("listings", ownerUids);
+}
+
+// Attach { listing } to every profile that has a place.
+// Returns a new array; profiles without a listing get listing: null.
+export async function attachListings(profiles) {
+  const ownerUids = profiles.filter((p) => p.hasHouse).map((p) => p.id);
+  const listings =
+    ownerUids.length > 0 ? await loadListingsByOwners(ownerUids) : new Map();
+
+  return profiles.map((p) => ({ ...p, listing: listings.get(p.id) || null }));
+}
+
+// Is any listing filter switched on?
+export function hasListingFilters(filters) {
+  return Boolean(
+    filters &&
+      (filters.maxRent !== null ||
+        filters.billsIncluded ||
+        filters.furnishedOnly ||
+        filters.availableBy ||
+        filters.maxLeaseMonths !== null)
+  );
+}
+
+// Does this listing pass the seeker's filters?
+// Unknown values (e.g. no rent given) don't pass an active filter.
+export function listingMatchesFilters(listing, filters) {
+  if (!hasListingFilters(filters)) return true;
+  if (!listing) return false;
+
+  if (filters.maxRent !== null) {
+    if (listing.rent === null || listing.rent > filters.maxRent) return false;
+  }
+  if (filters.billsIncluded && !listing.billsIncluded) return false;
+  if (
+    filters.furnishedOnly &&
+    !["furnished", "partly"].includes(listing.furnishing)
+  ) {
+    return false;
+  }
+  // No date = available now; "YYYY-MM-DD" strings compare in date order
+  if (
+    filters.availableBy &&
+    listing.availableFrom &&
+    listing.availableFrom > filters.availableBy
+  ) {
+    return false;
+  }
+  if (
+    filters.maxLeaseMonths !== null &&
+    listing.leaseMonths !== null &&
+    listing.leaseMonths > filters.maxLeaseMonths
+  ) {
+    return false;
+  }
+  return true;
+}
+
+// "1 Mar 2025", or "now" when there's no date / it's in the past
+export function formatAvailableFrom(availableFrom) {
+  if (!availableFrom) return "now";
+  const date = new Date(`${availableFrom}T00:00:00`);
+  if (Number.isNaN(date.getTime()) || date <= new Date()) return "now";
+  return date.toLocaleDateString([], {
+    day: "numeric",
+    month: "short",
+    year: "numeric",
+  });
+}
+
+// Short lines for cards: [{ key, icon, text }]
+export function listingSummary(listing) {
+  if (!listing) return [];
+  const lines = [];
+
+  if (listing.rent !== null && listing.rent !== undefined) {
+    lines.push({
+      key: "rent",
+      icon: "💸",
+      text: `${formatLira(listing.rent)} / month${
+        listing.billsIncluded ? " (bills included)" : " + bills"
+      }`,
+    });
+  }
+  if (listing.area) {
+    lines.push({ key: "area", icon: "📍", text: listing.area });
+  }
+  if (listing.roomsAvailable || listing.totalRooms) {
+    const free = listing.roomsAvailable
+      ? `${listing.roomsAvailable} room${
+          listing.roomsAvailable > 1 ? "s" : ""
+        } free`
+      : "";
+    const total = listing.totalRooms ? `${listing.totalRooms}+1 flat` : "";
+    lines.push({
+      key: "rooms",
+      icon: "🛏️",
+      text: [free, total].filter(Boolean).join(" in a "),
+    });
+  }
+  lines.push({
+    key: "available",
+    icon: "📅",
+    text: `Available ${formatAvailableFrom(listing.availableFrom)}`,
+  });
+  const furnishing = FURNISHING_OPTIONS.find(
+    (o) => o.value === listing.furnishing
+  );
+  if (furnishing) {
+    lines.push({ key: "furnishing", icon: "🛋️", text: furnishing.label });
+  }
+  lines.push({
+    key: "lease",
+    icon: "📝",
+    text: listing.leaseMonths
+      ? `Min. stay ${listing.leaseMonths} months`
+      : "Flexible stay",
+  });
+
+  return lines;
+}
@@ -0,0 +1,42 @@
+// ----------------------------------------------------------
+// loadByIds.js
+//
+// Load many documents of one collection by their ids.
+// Firestore allows at most 30 values in an "in" filter, so the
+// ids are split into chunks of 30 that run in parallel.
+//
+// Used by loadProfilesByIds (utils/matches.js) and
+// loadListingsByOwners (utils/listings.js).
+// ----------------------------------------------------------
+
+import {
+  collection,
+  documentId,
+  getDocs,
+  query,
+  where,
+} from "firebase/firestore";
+import { db } from "../firebase";
+
+// Most values Firestore accepts in one "in" filter
+const MAX_IN_VALUES = 30;
+
+// Returns a Map id → document data (missing ids are left out)
+export async function loadDocsByIds(collectionName, ids) {
+  const chunks = [];
+  for (let i = 0; i < ids.length; i += MAX_IN_VALUES) {
+    chunks.push(ids.slice(i, i + MAX_IN_VALUES));
+  }
+
+  const snaps = await Promise.all(
+    chunks.map((chunk) =>
+      getDocs(
+        query(collection(db, collectionName), where(documentId(), "in", chunk))
+      )
+    )
+  );
+
+  const docs = new Map();
+  snaps.forEach((snap) => snap.forEach((d) => docs.set(d.id, d.data())));
+  return docs;
+}
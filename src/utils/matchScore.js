@@ -0,0 +1,305 @@
+// ----------------------------------------------------------
+// matchScore.js
+//
+// Roommate compatibility score (0–100) between two profiles.
+// Pure functions only (no Firebase), so it's easy to test.
+//
+// The score is built from DIMENSIONS (budget, neighborhoods,
+// roommate preferences, lifestyle questionnaire). For each dimension:
+//   - a similarity from 0 to 1 is computed
+//   - a weight comes from the base weight × how important
+//     BOTH people said it is (profile field matchImportance),
+//     averaged so A→B and B→A give the same score
+//   - missing data on either side → NEUTRAL_SIMILARITY
+//
+// Neighborhoods count by distance, not exact spelling: nearby
+// areas (e.g. Kızılay and Kolej) get partial credit
+// (see utils/neighborhoods.js).
+//
+// Commute (utils/commute.js) is opt-in: it "doesn't matter" until
+// someone raises its importance, and needs a campus on the profile.
+//
+// Dealbreakers (profile field dealbreakers: ["non-smoker", ...])
+// remove a candidate entirely when the other person has a
+// conflicting preference (e.g. "non-smoker" vs "smoker"), typed
+// or answered in the lifestyle questionnaire (Smoking: Smoker).
+// They are checked in both directions.
+// ----------------------------------------------------------
+
+import { getBudgetRange, budgetGap, budgetOverlapRatio } from "./budget";
+import { compareLifestyles, lifestyleTags } from "./lifestyle";
+import { neighborhoodCloseness } from "./neighborhoods";
+import { compareCommutes } from "./commute";
+
+// Dimensions in the order they are shown in the "Why this match?" panel.
+// baseWeight = relative weight when both people use the default
+// importance (weights are scaled so the maximum total is 100).
+// defaultImportance = importance for profiles that never set it
+// (DEFAULT_IMPORTANCE when missing).
+export const MATCH_DIMENSIONS = [
+  { key: "budget", label: "Budget", baseWeight: 40 },
+  { key: "neighborhoods", label: "Neighborhoods", baseWeight: 35 },
+  { key: "preferences", label: "Roommate vibe", baseWeight: 25 },
+  { key: "lifestyle", label: "Lifestyle", baseWeight: 35 },
+  {
+    key: "commute",
+    label: "Commute to campus",
+    baseWeight: 30,
+    defaultImportance: 0,
+  },
+];
+
+// Choices for "How much does this matter to you?"
+export const IMPORTANCE_LEVELS = [
+  { value: 0, label: "Doesn't matter", multiplier: 0 },
+  { value: 1, label: "A little", multiplier: 0.5 },
+  { value: 2, label: "Important", multiplier: 1 },
+  { value: 3, label: "Very important", multiplier: 2 },
+];
+
+export const DEFAULT_IMPORTANCE = 2;
+
+// Similarity used when one side left a dimension empty
+export const NEUTRAL_SIMILARITY = 0.5;
+
+// Preferences that can't live together. Marking one side of a pair
+// as a dealbreaker hides everyone who picked the other side.
+export const CONFLICTING_PREFERENCES = [
+  ["non-smoker", "smoker"],
+  ["night owl", "early bird"],
+  ["quiet", "party-friendly"],
+  ["no pets", "has a pet"],
+];
+
+// Importance level (0–3) a profile gave to a dimension
+export function getImportance(profile, key) {
+  const value = Number(profile?.matchImportance?.[key]);
+  const level = IMPORTANCE_LEVELS.find((l) => l.value === value);
+  if (level) return level.value;
+
+  const dimension = MATCH_DIMENSIONS.find((d) => d.key === key);
+  return dimension?.defaultImportance ?? DEFAULT_IMPORTANCE;
+}
+
+// Lowercased preferences that conflict with a given preference
+export function conflictsFor(preference) {
+  const pref = normalize(preference);
+  return CONFLICTING_PREFERENCES.filter((pair) => pair.includes(pref)).map(
+    (pair) => pair.find((p) => p !== pref)
+  );
+}
+
+// Does either person have a dealbreaker the other one breaks?
+export function hasDealbreakerConflict(a, b) {
+  return breaksDealbreakers(a, b) || breaksDealbreakers(b, a);
+}
+
+// Score two profiles. The result is the same whichever one is "me".
+// Returns:
+//   {
+//     total: 0–100,
+//     budget:        { points, max, known, gap },
+//     neighborhoods: { points, max, known, shared: [...], nearby: [...] },
+//     preferences:   { points, max, known, shared: [...] },
+//     lifestyle:     { points, max, known, closest: [...], different: [...] },
+//     commute:       { points, max, known, toMyCampus, toTheirCampus },
+//   }
+// "shared" / "nearby" keep the OTHER person's spelling (shown on
+// their card); "nearby" = their areas close to, but not in, mine.
+export function calculateMatchScore(me, other) {
+  const similarities = {
+    budget: budgetSimilarity(me, other),
+    neighborhoods: neighborhoodSimilarity(me, other),
+    preferences: sharedItemsSimilarity(
+      me.roommatePreferences,
+      other.roommatePreferences
+    ),
+    lifestyle: lifestyleSimilarity(me, other),
+    commute: commuteSimilarity(me, other),
+  };
+
+  // Average both people's importance for each dimension
+  const weights = {};
+  MATCH_DIMENSIONS.forEach(({ key, baseWeight }) => {
+    weights[key] =
+      (baseWeight *
+        (multiplierFor(getImportance(me, key)) +
+          multiplierFor(getImportance(other, key)))) /
+      2;
+  });
+
+  let weightSum = Object.values(weights).reduce((sum, w) => sum + w, 0);
+  if (weightSum === 0) {
+    // Nothing matters to either of us → fall back to the base weights
+    MATCH_DIMENSIONS.forEach(({ key, baseWeight }) => {
+      weights[key] = baseWeight;
+    });
+    weightSum = MATCH_DIMENSIONS.reduce((sum, d) => sum + d.baseWeight, 0);
+  }
+
+  const result = { total: 0 };
+  MATCH_DIMENSIONS.forEach(({ key }) => {
+    const { similarity, ...details } = similarities[key];
+    // Round each part so the parts add up to the total shown
+    const max = Math.round((weights[key] / weightSum) * 100);
+    const points = Math.round(similarity * max);
+    result[key] = { points, max, ...details };
+    result.total += points;
+  });
+
+  // Clamp 0–100
+  result.total = Math.max(0, Math.min(100, result.total));
+  return result;
+}
+
+// Score + sort candidates for me, dropping dealbreaker conflicts.
+// Returns a NEW array: [{ ...profile, matchScore, matchBreakdown }, ...]
+// sorted from best match to worst.
+export function rankProfilesWithMatchScore(myProfile, others) {
+  return others
+    .filter((p) => !hasDealbreakerConflict(myProfile, p))
+    .map((p) => {
+      const breakdown = calculateMatchScore(myProfile, p);
+      return { ...p, matchScore: breakdown.total, matchBreakdown: breakdown };
+    })
+    .sort((a, b) => b.matchScore - a.matchScore);
+}
+
+// ---------- Dimensions ----------
+
+function budgetSimilarity(me, other) {
+  const myBudget = getBudgetRange(me);
+  const theirBudget = getBudgetRange(other);
+
+  if (!myBudget || !theirBudget) {
+    return { similarity: NEUTRAL_SIMILARITY, known: false, gap: null };
+  }
+
+  return {
+    similarity: budgetOverlapRatio(myBudget, theirBudget),
+    known: true,
+    gap: budgetGap(myBudget, theirBudget), // 0 = ranges overlap
+  };
+}
+
+// Distance-based similarity of the questionnaire answers
+// (see utils/lifestyle.js)
+function lifestyleSimilarity(me, other) {
+  const { similarity, closest, different } = compareLifestyles(me, other);
+
+  if (similarity === null) {
+    return {
+      similarity: NEUTRAL_SIMILARITY,
+      known: false,
+      closest: [],
+      different: [],
+    };
+  }
+
+  return { similarity, known: true, closest, different };
+}
+
+// How good both commutes would be (see utils/commute.js).
+// toMyCampus / toTheirCampus: { minutes, km, from } or null
+function commuteSimilarity(me, other) {
+  const { similarity, toMyCampus, toTheirCampus } = compareCommutes(
+    me,
+    other
+  );
+
+  if (similarity === null) {
+    return {
+      similarity: NEUTRAL_SIMILARITY,
+      known: false,
+      toMyCampus: null,
+      toTheirCampus: null,
+    };
+  }
+
+  return { similarity, known: true, toMyCampus, toTheirCampus };
+}
+
+// Proximity-weighted overlap of both people's areas: each area
+// counts as much as it is close to the nearest area of the other
+// person (1 = same area, 0 = far away), averaged both ways.
+function neighborhoodSimilarity(me, other) {
+  const myAreas = asTrimmedArray(me.neighborhoods);
+  const theirAreas = asTrimmedArray(other.neighborhoods);
+
+  if (myAreas.length === 0 || theirAreas.length === 0) {
+    return {
+      similarity: NEUTRAL_SIMILARITY,
+      known: false,
+      shared: [],
+      nearby: [],
+    };
+  }
+
+  const closestTo = (area, others) =>
+    Math.max(...others.map((o) => neighborhoodCloseness(area, o)));
+  const average = (values) =>
+    values.reduce((sum, v) => sum + v, 0) / values.length;
+
+  const mineBest = myAreas.map((a) => closestTo(a, theirAreas));
+  const theirsBest = theirAreas.map((a) => closestTo(a, myAreas));
+
+  return {
+    similarity: (average(mineBest) + average(theirsBest)) / 2,
+    known: true,
+    shared: theirAreas.filter((_, i) => theirsBest[i] === 1),
+    nearby: theirAreas.filter(
+      (_, i) => theirsBest[i] > 0 && theirsBest[i] < 1
+    ),
+  };
+}
+
+// Symmetric overlap of two tag lists: the average of
+// "how much of mine they share" and "how much of theirs I share".
+function sharedItemsSimilarity(mine, theirs) {
+  const myItems = asArrayOfLowercase(mine);
+  const theirItems = asTrimmedArray(theirs);
+
+  if (myItems.length === 0 || theirItems.length === 0) {
+    return { similarity: NEUTRAL_SIMILARITY, known: false, shared: [] };
+  }
+
+  const shared = theirItems.filter((t) => myItems.includes(normalize(t)));
+  const similarity =
+    (shared.length / myItems.length + shared.length / theirItems.length) / 2;
+
+  return { similarity: Math.min(similarity, 1), known: true, shared };
+}
+
+// ---------- Helpers ----------
+
+// Does "other" have a preference (typed or from their lifestyle
+// answers) that conflicts with one of profile's dealbreakers?
+function breaksDealbreakers(profile, other) {
+  const dealbreakers = asArrayOfLowercase(profile.dealbreakers);
+  if (dealbreakers.length === 0) return false;
+
+  const theirPrefs = [
+    ...asArrayOfLowercase(other.roommatePreferences),
+    ...lifestyleTags(other),
+  ];
+  return dealbreakers.some((d) =>
+    conflictsFor(d).some((conflict) => theirPrefs.includes(conflict))
+  );
+}
+
+function multiplierFor(importance) {
+  return IMPORTANCE_LEVELS.find((l) => l.value === importance).multiplier;
+}
+
+function normalize(value) {
+  return String(value).trim().toLowerCase();
+}
+
+function asTrimmedArray(value) {
+  if (!Array.isArray(value)) return [];
+  return value.map((v) => String(v).trim()).filter((v) => v.length > 0);
+}
+
+function asArrayOfLowercase(value) {
+  return asTrimmedArray(value).map((v) => v.toLowerCase());
+}
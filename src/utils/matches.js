@@ -0,0 +1,153 @@
+// ----------------------------------------------------------
+// matches.js
+//
+// Reading mutual matches from Firestore.
+//
+// matches/{pairId} documents are written by the
+// createMatchOnLike Cloud Function (functions/index.js)
+// when a like is returned:
+//   { users: [uidA, uidB], createdAt }
+//
+// Unmatching deletes my like; the removeMatchOnUnlike Cloud Function
+// then archives our chat and removes the match for both of us.
+//
+// Used by Matches.jsx, Messages.jsx, SwipeMatch.jsx and Chat.jsx.
+// ----------------------------------------------------------
+
+import {
+  collection,
+  doc,
+  getDoc,
+  query,
+  where,
+  orderBy,
+  getDocs,
+  onSnapshot,
+  serverTimestamp,
+  writeBatch,
+} from "firebase/firestore";
+import { db } from "../firebase";
+import { loadDocsByIds } from "./loadByIds";
+import { loadBlocks } from "./safety";
+
+// Stable id for a pair of users (order doesn't matter).
+// Used for matches/{pairId} and chats/{chatId}.
+export function pairIdFor(uid1, uid2) {
+  if (!uid1 || !uid2) return null;
+  return uid1 < uid2 ? `${uid1}_${uid2}` : `${uid2}_${uid1}`;
+}
+
+// Do these two users have a mutual match?
+// (firestore.rules hide matches/{pairId} from non-members, so a
+// "permission-denied" also means "not matched")
+export async function isMatchedWith(myUid, otherUid) {
+  const pairId = pairIdFor(myUid, otherUid);
+  if (!pairId) return false;
+  try {
+    const snap = await getDoc(doc(db, "matches", pairId));
+    return snap.exists();
+  } catch (err) {
+    if (err.code === "permission-denied") return false;
+    throw err;
+  }
+}
+
+// My matches, newest first (needs the index in firestore.indexes.json)
+function myMatchesQuery(myUid) {
+  return query(
+    collection(db, "matches"),
+    where("users", "array-contains", myUid),
+    orderBy("createdAt", "desc")
+  );
+}
+
+// Load users/{uid} for many uids at once (see utils/loadByIds.js).
+// Returns a Map uid → profile data.
+export function loadProfilesByIds(uids) {
+  return loadDocsByIds("users", uids);
+}
+
+// Load the profiles of everyone I'm matched with, newest match first.
+// Students blocked in either direction are left out.
+// Returns [{ id, matchId, matchedAt, ...profile }, ...]
+export async function loadMatchedProfiles(myUid) {
+  const [matchesSnap, blocks] = await Promise.all([
+    getDocs(myMatchesQuery(myUid)),
+    loadBlocks(myUid),
+  ]);
+
+  const matches = matchesSnap.docs.map((d) => {
+    const data = d.data();
+    return {
+      matchId: d.id,
+      otherUid: (data.users || []).find((uid) => uid !== myUid),
+      matchedAt: data.createdAt || null,
+    };
+  });
+
+  const otherUids = matches
+    .map((m) => m.otherUid)
+    .filter((uid) => uid && !blocks.hidden.has(uid));
+  if (otherUids.length === 0) return [];
+
+  const profiles = await loadProfilesByIds(otherUids);
+
+  return matches
+    .filter((m) => profiles.has(m.otherUid))
+    .map((m) => ({
+      id: m.otherUid,
+      matchId: m.matchId,
+      matchedAt: m.matchedAt,
+      ...profiles.get(m.otherUid),
+    }));
+}
+
+// Calls onNewMatch(otherUid) whenever a NEW match appears for me
+// while the listener is active (existing matches are ignored).
+// Returns the unsubscribe function.
+export function subscribeToNewMatches(myUid, onNewMatch) {
+  let initialLoad = true;
+
+  return onSnapshot(
+    myMatchesQuery(myUid),
+    (snapshot) => {
+      if (initialLoad) {
+        initialLoad = false;
+        return;
+      }
+      snapshot.docChanges().forEach((change) => {
+        if (change.type !== "added") return;
+        const users = change.doc.data().users || [];
+        const otherUid = users.find((uid) => uid !== myUid);
+        if (otherUid) onNewMatch(otherUid);
+      });
+    },
+    (err) => console.error("Error listening for new matches:", err)
+  );
+}
+
+// Undo a mutual match with another student.
+// In one batch:
+//   - delete my like(s) → removeMatchOnUnlike deletes matches/{pairId}
+//     and archives chats/{pairId} (no new messages from either side).
+//     Older likes had random ids instead of "{from}_{to}", so they
+//     are looked up with a query.
+//   - skip them, so they don't come straight back into my deck
+export async function unmatchUser(myUid, otherUid) {
+  const myLikes = await getDocs(
+    query(
+      collection(db, "likes"),
+      where("fromUid", "==", myUid),
+      where("toUid", "==", otherUid)
+    )
+  );
+
+  const batch = writeBatch(db);
+  myLikes.docs.forEach((likeDoc) => batch.delete(likeDoc.ref));
+  batch.set(doc(db, "passes", `${myUid}_${otherUid}`), {
+    fromUid: myUid,
+    toUid: otherUid,
+    createdAt: serverTimestamp(),
+  });
+  await batch.commit();
+}
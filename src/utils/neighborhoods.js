@@ -0,0 +1,130 @@
+// ----------------------------------------------------------
+// neighborhoods.js
+//
+// Neighborhood catalog (src/data/neighborhoods.json, a GeoJSON
+// FeatureCollection of points bundled with the app, so it works
+// offline) + helpers to compare areas by distance.
+//
+// Each catalog entry: { id, name, aliases, lat, lng }
+//
+// Profiles save:
+//   neighborhoods:   ["Kızılay", "my own area"]  names shown on cards
+//   neighborhoodIds: ["kizilay"]                 catalog ids only
+//
+// Free-text names are matched to the catalog after "folding"
+// (lowercase, Turkish letters → ASCII, no punctuation), so
+// "ODTÜ çevresi", "odtu cevresi" and "ODTU" are the same area.
+// Two areas get full credit up to SAME_AREA_KM apart and less
+// and less credit until NEARBY_KM (see neighborhoodCloseness).
+// ----------------------------------------------------------
+
+import catalogGeoJson from "../data/neighborhoods.json";
+
+// Closer than this → counts as the same area
+export const SAME_AREA_KM = 0.5;
+// Further than this → no credit at all
+export const NEARBY_KM = 5;
+
+export const NEIGHBORHOODS = catalogGeoJson.features.map((feature) => ({
+  id: feature.properties.id,
+  name: feature.properties.name,
+  aliases: feature.properties.aliases || [],
+  lng: feature.geometry.coordinates[0],
+  lat: feature.geometry.coordinates[1],
+}));
+
+const TURKISH_LETTERS = {
+  ç: "c",
+  ğ: "g",
+  ı: "i",
+  ö: "o",
+  ş: "s",
+  ü: "u",
+};
+
+// "ODTÜ Çevresi!" → "odtu cevresi"
+export function foldText(value) {
+  return String(value ?? "")
+    .toLocaleLowerCase("tr")
+    .replace(/[çğıöşü]/g, (letter) => TURKISH_LETTERS[letter])
+    .normalize("NFD")
+    .replace(/[\u0300-\u036f]/g, "")
+    .replace(/[^a-z0-9]+/g, " ")
+    .trim();
+}
+
+// Folded name / alias → catalog entry
+const BY_FOLDED_NAME = new Map();
+NEIGHBORHOODS.forEach((n) => {
+  [n.name, ...n.aliases].forEach((name) => {
+    BY_FOLDED_NAME.set(foldText(name), n);
+  });
+});
+
+const BY_ID = new Map(NEIGHBORHOODS.map((n) => [n.id, n]));
+
+// Catalog entry for an id (or null)
+export function getNeighborhoodById(id) {
+  return BY_ID.get(id) || null;
+}
+
+// Catalog entry for a typed name (or null when it's not in the catalog)
+export function findNeighborhood(name) {
+  return BY_FOLDED_NAME.get(foldText(name)) || null;
+}
+
+// Names → catalog ids (unknown names are skipped, no duplicates)
+export function neighborhoodIdsFor(names) {
+  if (!Array.isArray(names)) return [];
+  const ids = names.map((n) => findNeighborhood(n)?.id).filter(Boolean);
+  return Array.from(new Set(ids));
+}
+
+// Straight-line distance in km (haversine formula)
+export function distanceKm(a, b) {
+  const toRad = (deg) => (deg * Math.PI) / 180;
+  const dLat = toRad(b.lat - a.lat);
+  const dLng = toRad(b.lng - a.lng);
+  const h =
+    Math.sin(dLat / 2) ** 2 +
+    Math.cos(toRad(a.lat)) * Math.cos(toRad(b.lat)) * Math.sin(dLng / 2) ** 2;
+  return 2 * 6371 * Math.asin(Math.sqrt(h));
+}
+
+// How close two area names are, from 0 to 1:
+//   - both in the catalog → 1 up to SAME_AREA_KM, then linear
+//     down to 0 at NEARBY_KM
+//   - otherwise → 1 if the folded names are equal, else 0
+export function neighborhoodCloseness(nameA, nameB) {
+  const a = findNeighborhood(nameA);
+  const b = findNeighborhood(nameB);
+
+  if (!a || !b) return foldText(nameA) === foldText(nameB) ? 1 : 0;
+  if (a.id === b.id) return 1;
+
+  const km = distanceKm(a, b);
+  if (km <= SAME_AREA_KM) return 1;
+  if (km >= NEARBY_KM) return 0;
+  return 1 - (km - SAME_AREA_KM) / (NEARBY_KM - SAME_AREA_KM);
+}
+
+// Same area? (used by the deck's neighborhood filter)
+export function isSameNeighborhood(nameA, nameB) {
+  return neighborhoodCloseness(nameA, nameB) === 1;
+}
+
+// My catalog ids + the catalog areas near them, closest first
+// (used to query the swipe deck, so nearby students show up too)
+export function nearbyNeighborhoodIds(ids, maxCount) {
+  const mine = ids.map(getNeighborhoodById).filter(Boolean);
+  if (mine.length === 0) return [];
+
+  return NEIGHBORHOODS.map((n) => ({
+    id: n.id,
+    km: Math.min(...mine.map((m) => distanceKm(m, n))),
+  }))
+    .filter((n) => n.km < NEARBY_KM)
+    .sort((a, b) => a.km - b.km)
+    .slice(0, maxCount)
+    .map((n) => n.id);
+}
@@ -0,0 +1,26 @@
+// ----------------------------------------------------------
+// numbers.js
+//
+// Turning form inputs and stored fields into numbers.
+// Empty or invalid values become null ("not filled in")
+// instead of 0 or NaN.
+//
+// Used by budgets (utils/budget.js, CreateProfile.jsx), listings
+// (utils/listings.js) and the swipe deck filters
+// (utils/deckFilters.js, DeckFilterSheet.jsx).
+// ----------------------------------------------------------
+
+// "" / null / "abc" → null, "8000" → 8000, "7.5" → 7.5
+export function toNumberOrNull(value) {
+  if (value === "" || value === null || value === undefined) return null;
+  const n = Number(value);
+  return Number.isFinite(n) ? n : null;
+}
+
+// Same, rounded to a whole number. Values below "min" → null
+// (e.g. min 0 for rent and room counts).
+export function toWholeNumberOrNull(value, min = -Infinity) {
+  const n = toNumberOrNull(value);
+  if (n === null || n < min) return null;
+  return Math.round(n);
+}
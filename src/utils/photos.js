@@ -0,0 +1,180 @@
+// ----------------------------------------------------------
+// photos.js
+//
+// Profile + home photo uploads to Firebase Storage.
+//
+// Photos used to be saved as base64 data URLs inside users/{uid},
+// which pushed big profiles past Firestore's 1 MiB limit and made
+// every profile download slow. Now:
+//   - the image is resized in the browser (canvas → JPEG)
+//   - a full-size copy + a small thumbnail go to Storage under
+//       users/{uid}/photos/{photoId}.jpg
+//       users/{uid}/photos/{photoId}_thumb.jpg
+//   - only the download URLs are stored on the profile:
+//       profilePhoto, profilePhotoThumb
+//       homePhotos[], homePhotoThumbs[]   (same order)
+// ----------------------------------------------------------
+
+import { doc, updateDoc } from "firebase/firestore";
+import {
+  ref,
+  uploadBytes,
+  getDownloadURL,
+  deleteObject,
+} from "firebase/storage";
+import { db, storage } from "../firebase";
+
+// Longest side in pixels for each kind of photo
+const SIZES = {
+  profile: { full: 800, thumb: 160 },
+  home: { full: 1600, thumb: 400 },
+};
+
+const JPEG_QUALITY = 0.82;
+
+// Biggest file we accept from the device before resizing
+export const MAX_PHOTO_BYTES = 15 * 1024 * 1024;
+
+// True for old profiles that still have base64 photos inline
+export function isDataUrl(value) {
+  return typeof value === "string" && value.startsWith("data:");
+}
+
+// Resize an image File/Blob so its longest side is at most maxSide.
+// Returns a JPEG Blob.
+export async function resizeImage(file, maxSide) {
+  const bitmap = await createImageBitmap(file);
+  const scale = Math.min(1, maxSide / Math.max(bitmap.width, bitmap.height));
+  const width = Math.round(bitmap.width * scale);
+  const height = Math.round(bitmap.height * scale);
+
+  const canvas = document.createElement("canvas");
+  canvas.width = width;
+  canvas.height = height;
+  const ctx = canvas.getContext("2d");
+
+  // White background so transparent PNGs don't turn black as JPEG
+  ctx.fillStyle = "#FFFFFF";
+  ctx.fillRect(0, 0, width, height);
+  ctx.drawImage(bitmap, 0, 0, width, height);
+  bitmap.close?.();
+
+  return new Promise((resolve, reject) => {
+    canvas.toBlob(
+      (blob) =>
+        blob ? resolve(blob) : reject(new Error("Could not resize image.")),
+      "image/jpeg",
+      JPEG_QUALITY
+    );
+  });
+}
+
+// Upload one photo (full + thumbnail) for a user.
+// kind = "profile" | "home"
+// Returns { url, thumbUrl }
+export async function uploadPhoto(uid, file, kind) {
+  if (!file.type.startsWith("image/")) {
+    throw new Error("Please choose an image file.");
+  }
+  if (file.size > MAX_PHOTO_BYTES) {
+    throw new Error("This photo is too large (max 15 MB).");
+  }
+
+  const sizes = SIZES[kind] || SIZES.home;
+  const [fullBlob, thumbBlob] = await Promise.all([
+    resizeImage(file, sizes.full),
+    resizeImage(file, sizes.thumb),
+  ]);
+
+  const photoId = `${kind}_${Date.now()}_${Math.random()
+    .toString(36)
+    .slice(2, 8)}`;
+  const fullRef = ref(storage, `users/${uid}/photos/${photoId}.jpg`);
+  const thumbRef = ref(storage, `users/${uid}/photos/${photoId}_thumb.jpg`);
+  const metadata = { contentType: "image/jpeg" };
+
+  await Promise.all([
+    uploadBytes(fullRef, fullBlob, metadata),
+    uploadBytes(thumbRef, thumbBlob, metadata),
+  ]);
+
+  const [url, thumbUrl] = await Promise.all([
+    getDownloadURL(fullRef),
+    getDownloadURL(thumbRef),
+  ]);
+
+  return { url, thumbUrl };
+}
+
+// Best-effort delete of a photo we no longer use (by download URL).
+// Never throws: a leftover file is better than a failed save.
+export async function deletePhotoByUrl(url) {
+  if (!url || isDataUrl(url)) return;
+  try {
+    await deleteObject(ref(storage, url));
+  } catch (err) {
+    console.warn("Could not delete old photo:", err);
+  }
+}
+
+// Turn a base64 data URL back into a Blob we can upload
+async function dataUrlToBlob(dataUrl) {
+  const res = await fetch(dataUrl);
+  return res.blob();
+}
+
+// One-time migration for profiles created before Storage uploads:
+// uploads any base64 photos and replaces them with Storage URLs.
+// Returns true if something was migrated.
+export async function migrateInlinePhotos(uid, profile) {
+  const updates = {};
+
+  if (isDataUrl(profile.profilePhoto)) {
+    const blob = await dataUrlToBlob(profile.profilePhoto);
+    const { url, thumbUrl } = await uploadPhoto(uid, blob, "profile");
+    updates.profilePhoto = url;
+    updates.profilePhotoThumb = thumbUrl;
+  }
+
+  const homePhotos = Array.isArray(profile.homePhotos)
+    ? profile.homePhotos
+    : [];
+
+  if (homePhotos.some(isDataUrl)) {
+    const oldThumbs = Array.isArray(profile.homePhotoThumbs)
+      ? profile.homePhotoThumbs
+      : [];
+    const urls = [];
+    const thumbs = [];
+
+    for (let i = 0; i < homePhotos.length; i++) {
+      const photo = homePhotos[i];
+      if (isDataUrl(photo)) {
+        const blob = await dataUrlToBlob(photo);
+        const uploaded = await uploadPhoto(uid, blob, "home");
+        urls.push(uploaded.url);
+        thumbs.push(uploaded.thumbUrl);
+      } else {
+        urls.push(photo);
+        thumbs.push(oldThumbs[i] || photo);
+      }
+    }
+
+    updates.homePhotos = urls;
+    updates.homePhotoThumbs = thumbs;
+  }
+
+  if (Object.keys(updates).length === 0) return false;
+
+  await updateDoc(doc(db, "users", uid), updates);
+  return true;
+}
+
+// Does this profile still have base64 photos inline?
+export function needsPhotoMigration(profile) {
+  if (!profile) return false;
+  return (
+    isDataUrl(profile.profilePhoto) ||
+    (Array.isArray(profile.homePhotos) && profile.homePhotos.some(isDataUrl))
+  );
+}
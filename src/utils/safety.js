@@ -0,0 +1,112 @@
+// ----------------------------------------------------------
+// safety.js
+//
+// Blocking and reporting other students.
+//
+// Firestore structure:
+//   blocks/{blockerUid}_{blockedUid} → { blockerUid, blockedUid, createdAt }
+//     - hides both students from each other (swipe deck, matches,
+//       messages) and firestore.rules stop new chat messages
+//   reports/{reportId} → {
+//     reporterUid, reportedUid, category, details,
+//     source: "profile" | "match" | "chat",
+//     chatId?, messages?: [{ id, text, fromUid, createdAt }],
+//     createdAt
+//   }
+//     - write-only for clients; reviewed in the Firebase console
+// ----------------------------------------------------------
+
+import {
+  addDoc,
+  collection,
+  deleteDoc,
+  doc,
+  getDocs,
+  query,
+  serverTimestamp,
+  setDoc,
+  where,
+} from "firebase/firestore";
+import { db } from "../firebase";
+
+export const REPORT_CATEGORIES = [
+  { value: "harassment", label: "Harassment or bullying" },
+  { value: "spam", label: "Spam or scam" },
+  { value: "fake", label: "Fake profile" },
+  { value: "inappropriate", label: "Inappropriate photos or messages" },
+  { value: "discrimination", label: "Hate speech or discrimination" },
+  { value: "other", label: "Something else" },
+];
+
+export const MAX_REPORT_DETAILS = 1000;
+
+// How many recent chat messages go into a report from Chat
+export const REPORT_MESSAGE_LIMIT = 20;
+
+function blockId(blockerUid, blockedUid) {
+  return `${blockerUid}_${blockedUid}`;
+}
+
+// Block another student
+export async function blockUser(myUid, otherUid) {
+  await setDoc(doc(db, "blocks", blockId(myUid, otherUid)), {
+    blockerUid: myUid,
+    blockedUid: otherUid,
+    createdAt: serverTimestamp(),
+  });
+}
+
+// Undo my block
+export async function unblockUser(myUid, otherUid) {
+  await deleteDoc(doc(db, "blocks", blockId(myUid, otherUid)));
+}
+
+// Everyone hidden from me because of a block, in either direction.
+// Returns { blockedByMe: Set<uid>, hidden: Set<uid> }
+export async function loadBlocks(myUid) {
+  const [mine, theirs] = await Promise.all([
+    getDocs(query(collection(db, "blocks"), where("blockerUid", "==", myUid))),
+    getDocs(query(collection(db, "blocks"), where("blockedUid", "==", myUid))),
+  ]);
+
+  const blockedByMe = new Set(mine.docs.map((d) => d.data().blockedUid));
+  const hidden = new Set(blockedByMe);
+  theirs.docs.forEach((d) => hidden.add(d.data().blockerUid));
+
+  return { blockedByMe, hidden };
+}
+
+// Save a report. messages = chat messages to attach (Chat only).
+export async function reportUser({
+  reporterUid,
+  reportedUid,
+  category,
+  details = "",
+  source,
+  chatId = null,
+  messages = [],
+}) {
+  const report = {
+    reporterUid,
+    reportedUid,
+    category,
+    details: details.trim().slice(0, MAX_REPORT_DETAILS),
+    source,
+    createdAt: serverTimestamp(),
+  };
+
+  if (chatId) {
+    report.chatId = chatId;
+    // Snapshot of the conversation as it was when reported
+    report.messages = messages.slice(-REPORT_MESSAGE_LIMIT).map((m) => ({
+      id: m.id,
+      text: m.text || "",
+      fromUid: m.fromUid,
+      createdAt: m.createdAt || null,
+      // Storage path only: moderators open it from the console
+      ...(m.attachment ? { attachmentPath: m.attachment.path } : {}),
+    }));
+  }
+
+  await addDoc(collection(db, "reports"), report);
+}
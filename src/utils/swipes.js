@@ -0,0 +1,91 @@
+// ----------------------------------------------------------
+// swipes.js
+//
+// Saving swipe decisions in SwipeMatch.
+//
+// Both collections use a deterministic id so the same decision
+// is never stored twice:
+//   likes/{fromUid}_{toUid}  → { fromUid, toUid, createdAt }
+//   passes/{fromUid}_{toUid} → { fromUid, toUid, createdAt }
+// createdAt is a server timestamp on both (likes saved before
+// that may still hold a number in ms).
+//
+// Likes stay until undone. Passes only hide someone for
+// PASS_COOLDOWN_DAYS (see config.js), then they come back.
+//
+// Undo deletes the document again. Deleting a like also removes
+// the match it created (removeMatchOnUnlike Cloud Function).
+// ----------------------------------------------------------
+
+import {
+  collection,
+  deleteDoc,
+  doc,
+  getDocs,
+  query,
+  serverTimestamp,
+  setDoc,
+  where,
+} from "firebase/firestore";
+import { db } from "../firebase";
+import { PASS_COOLDOWN_DAYS } from "../config";
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+function swipeId(fromUid, toUid) {
+  return `${fromUid}_${toUid}`;
+}
+
+// "Connect": like another student (safe to call twice)
+export async function likeUser(fromUid, toUid) {
+  await setDoc(doc(db, "likes", swipeId(fromUid, toUid)), {
+    fromUid,
+    toUid,
+    createdAt: serverTimestamp(),
+  });
+}
+
+// "Skip": hide another student for a while
+export async function passUser(fromUid, toUid) {
+  await setDoc(doc(db, "passes", swipeId(fromUid, toUid)), {
+    fromUid,
+    toUid,
+    createdAt: serverTimestamp(),
+  });
+}
+
+// Undo a "Connect"
+export async function unlikeUser(fromUid, toUid) {
+  await deleteDoc(doc(db, "likes", swipeId(fromUid, toUid)));
+}
+
+// Undo a "Skip"
+export async function unpassUser(fromUid, toUid) {
+  await deleteDoc(doc(db, "passes", swipeId(fromUid, toUid)));
+}
+
+// Everyone I should NOT see in the deck right now:
+// people I liked + people I passed within the cooldown.
+// Returns a Set of uids.
+export async function loadSwipedUids(myUid) {
+  const [likesSnap, passesSnap] = await Promise.all([
+    getDocs(query(collection(db, "likes"), where("fromUid", "==", myUid))),
+    getDocs(query(collection(db, "passes"), where("fromUid", "==", myUid))),
+  ]);
+
+  const hidden = new Set();
+
+  likesSnap.forEach((d) => {
+    const { toUid } = d.data();
+    if (toUid) hidden.add(toUid);
+  });
+
+  const cutoff = Date.now() - PASS_COOLDOWN_DAYS * DAY_MS;
+  passesSnap.forEach((d) => {
+    const { toUid, createdAt } = d.data();
+    const passedAt = createdAt?.toMillis ? createdAt.toMillis() : 0;
+    if (toUid && passedAt >= cutoff) hidden.add(toUid);
+  });
+
+  return hidden;
+}
@@ -0,0 +1,22 @@
+// ----------------------------------------------------------
+// tags.js
+//
+// Preset roommate preference tags shared by the profile form
+// (CreateProfile.jsx) and the swipe deck filters
+// (DeckFilterSheet.jsx). Students can still type their own.
+// (Neighborhoods come from the catalog in utils/neighborhoods.js.)
+// ----------------------------------------------------------
+
+export const PRESET_PREFS = [
+  "tidy",
+  "non-smoker",
+  "smoker",
+  "quiet",
+  "social",
+  "party-friendly",
+  "night owl",
+  "early bird",
+  "no pets",
+  "has a pet",
+  "LGBTQ+ friendly",
+];
@@ -0,0 +1,490 @@
+// ----------------------------------------------------------
+// firestore.test.js
+//
+// firestore.rules against the Firestore emulator:
+//   - users/{uid}
+//   - listings/{ownerUid}
+//   - likes / passes
+//   - matches
+//   - blocks / reports
+//   - chats + messages (match required, blocks, archived chats)
+// ----------------------------------------------------------
+
+import { after, before, beforeEach, describe, it } from "node:test";
+import {
+  assertFails,
+  assertSucceeds,
+} from "@firebase/rules-unit-testing";
+import {
+  addDoc,
+  collection,
+  deleteDoc,
+  doc,
+  getDoc,
+  getDocs,
+  query,
+  serverTimestamp,
+  setDoc,
+  updateDoc,
+  where,
+} from "firebase/firestore";
+import { createTestEnv, seed } from "./testEnv.js";
+
+// "alice" < "bob", so their pair id is "alice_bob"
+const ALICE = "alice";
+const BOB = "bob";
+const CAROL = "carol";
+const PAIR_ID = "alice_bob";
+
+let testEnv;
+
+function dbFor(uid) {
+  return uid
+    ? testEnv.authenticatedContext(uid).firestore()
+    : testEnv.unauthenticatedContext().firestore();
+}
+
+function seedMatch() {
+  return seed(testEnv, (db) =>
+    setDoc(doc(db, "matches", PAIR_ID), {
+      users: [ALICE, BOB],
+      createdAt: new Date(),
+    })
+  );
+}
+
+function seedChat(data = {}) {
+  return seed(testEnv, (db) =>
+    setDoc(doc(db, "chats", PAIR_ID), {
+      participants: [ALICE, BOB],
+      ...data,
+    })
+  );
+}
+
+before(async () => {
+  testEnv = await createTestEnv();
+});
+
+beforeEach(async () => {
+  await testEnv.clearFirestore();
+});
+
+after(async () => {
+  await testEnv.cleanup();
+});
+
+describe("users", () => {
+  it("needs sign-in to read profiles", async () => {
+    await assertFails(getDoc(doc(dbFor(null), "users", BOB)));
+    await assertSucceeds(getDoc(doc(dbFor(ALICE), "users", BOB)));
+  });
+
+  it("lets me write only my own profile", async () => {
+    const profile = { name: "Alice", housingIntent: "seeking" };
+    await assertSucceeds(setDoc(doc(dbFor(ALICE), "users", ALICE), profile));
+    await assertFails(setDoc(doc(dbFor(ALICE), "users", BOB), profile));
+  });
+
+  it("checks field types and sizes", async () => {
+    const ref = doc(dbFor(ALICE), "users", ALICE);
+    await assertFails(setDoc(ref, { name: "x".repeat(61) }));
+    await assertFails(setDoc(ref, { housingIntent: "selling" }));
+    await assertFails(setDoc(ref, { neighborhoods: "Kolej" }));
+  });
+
+  it("rejects base64 photos (only Storage URLs fit)", async () => {
+    const ref = doc(dbFor(ALICE), "users", ALICE);
+    const base64 = `data:image/jpeg;base64,${"A".repeat(5000)}`;
+    await assertFails(setDoc(ref, { profilePhoto: base64 }));
+    await assertSucceeds(
+      setDoc(ref, { profilePhoto: "https://example.com/photo.jpg" })
+    );
+  });
+
+  it("still lets an old base64 profile save other fields", async () => {
+    const base64 = `data:image/jpeg;base64,${"A".repeat(5000)}`;
+    await seed(testEnv, (db) =>
+      setDoc(doc(db, "users", ALICE), {
+        name: "Alice",
+        profilePhoto: base64,
+        profilePhotoThumb: base64,
+      })
+    );
+    const ref = doc(dbFor(ALICE), "users", ALICE);
+
+    await assertSucceeds(updateDoc(ref, { lastActiveAt: serverTimestamp() }));
+    // The migration replaces the photo with a Storage URL
+    await assertSucceeds(
+      updateDoc(ref, { profilePhoto: "https://example.com/photo.jpg" })
+    );
+  });
+});
+
+describe("listings", () => {
+  const listing = (data = {}) => ({
+    ownerUid: ALICE,
+    rent: 9000,
+    billsIncluded: true,
+    area: "Kolej",
+    roomsAvailable: 1,
+    totalRooms: 3,
+    availableFrom: "2026-09-01",
+    furnishing: "furnished",
+    leaseMonths: 6,
+    updatedAt: serverTimestamp(),
+    ...data,
+  });
+
+  it("can be read by signed-in students", async () => {
+    await seed(testEnv, (db) =>
+      setDoc(doc(db, "listings", ALICE), listing({ updatedAt: new Date() }))
+    );
+    await assertFails(getDoc(doc(dbFor(null), "listings", ALICE)));
+    await assertSucceeds(getDoc(doc(dbFor(BOB), "listings", ALICE)));
+  });
+
+  it("can be written and removed only by the owner", async () => {
+    await assertSucceeds(
+      setDoc(doc(dbFor(ALICE), "listings", ALICE), listing())
+    );
+    await assertFails(setDoc(doc(dbFor(BOB), "listings", ALICE), listing()));
+    // ownerUid must be the document id
+    await assertFails(
+      setDoc(doc(dbFor(BOB), "listings", BOB), listing({ ownerUid: ALICE }))
+    );
+
+    await assertFails(deleteDoc(doc(dbFor(BOB), "listings", ALICE)));
+    await assertSucceeds(deleteDoc(doc(dbFor(ALICE), "listings", ALICE)));
+  });
+
+  it("accepts only the known fields", async () => {
+    const ref = doc(dbFor(ALICE), "listings", ALICE);
+    await assertFails(setDoc(ref, listing({ phone: "555 0000" })));
+  });
+
+  it("checks field types", async () => {
+    const ref = doc(dbFor(ALICE), "listings", ALICE);
+    await assertFails(setDoc(ref, listing({ rent: "cheap" })));
+    await assertFails(setDoc(ref, listing({ furnishing: "empty" })));
+    await assertFails(setDoc(ref, listing({ availableFrom: "soon" })));
+    await assertFails(setDoc(ref, listing({ area: "x".repeat(61) })));
+    // null = "not filled in"
+    await assertSucceeds(
+      setDoc(ref, listing({ rent: null, leaseMonths: null, furnishing: null }))
+    );
+  });
+
+  it("needs a server timestamp in updatedAt", async () => {
+    const ref = doc(dbFor(ALICE), "listings", ALICE);
+    await assertFails(setDoc(ref, listing({ updatedAt: new Date() })));
+    const { updatedAt: _updatedAt, ...withoutTime } = listing();
+    await assertFails(setDoc(ref, withoutTime));
+  });
+});
+
+describe("likes and passes", () => {
+  it("lets me like only as myself, with a {from}_{to} id", async () => {
+    const db = dbFor(ALICE);
+    const like = { fromUid: ALICE, toUid: BOB, createdAt: serverTimestamp() };
+
+    await assertSucceeds(setDoc(doc(db, "likes", "alice_bob"), like));
+    await assertFails(setDoc(doc(db, "likes", "random-id"), like));
+    await assertFails(
+      setDoc(doc(db, "likes", "bob_alice"), {
+        ...like,
+        fromUid: BOB,
+        toUid: ALICE,
+      })
+    );
+  });
+
+  it("needs a server timestamp on likes and passes", async () => {
+    for (const collectionName of ["likes", "passes"]) {
+      const ref = doc(dbFor(ALICE), collectionName, "alice_bob");
+      await assertFails(
+        setDoc(ref, { fromUid: ALICE, toUid: BOB, createdAt: Date.now() })
+      );
+      await assertSucceeds(
+        setDoc(ref, {
+          fromUid: ALICE,
+          toUid: BOB,
+          createdAt: serverTimestamp(),
+        })
+      );
+    }
+  });
+
+  it("lets only the sender read and undo a swipe", async () => {
+    await seed(testEnv, (db) =>
+      setDoc(doc(db, "likes", "alice_bob"), {
+        fromUid: ALICE,
+        toUid: BOB,
+        createdAt: new Date(),
+      })
+    );
+
+    await assertFails(getDoc(doc(dbFor(BOB), "likes", "alice_bob")));
+    await assertFails(deleteDoc(doc(dbFor(BOB), "likes", "alice_bob")));
+    await assertSucceeds(
+      getDocs(
+        query(
+          collection(dbFor(ALICE), "likes"),
+          where("fromUid", "==", ALICE),
+          where("toUid", "==", BOB)
+        )
+      )
+    );
+    await assertSucceeds(deleteDoc(doc(dbFor(ALICE), "likes", "alice_bob")));
+  });
+});
+
+describe("matches", () => {
+  it("can be read only by the two members", async () => {
+    await seedMatch();
+    await assertSucceeds(getDoc(doc(dbFor(ALICE), "matches", PAIR_ID)));
+    await assertFails(getDoc(doc(dbFor(CAROL), "matches", PAIR_ID)));
+  });
+
+  it("can't be written from the app", async () => {
+    await assertFails(
+      setDoc(doc(dbFor(ALICE), "matches", PAIR_ID), { users: [ALICE, BOB] })
+    );
+  });
+});
+
+describe("chats", () => {
+  it("can be created only by a matched participant", async () => {
+    const chat = { participants: [ALICE, BOB] };
+
+    await assertFails(setDoc(doc(dbFor(ALICE), "chats", PAIR_ID), chat));
+
+    await seedMatch();
+    await assertFails(setDoc(doc(dbFor(CAROL), "chats", PAIR_ID), chat));
+    await assertSucceeds(setDoc(doc(dbFor(ALICE), "chats", PAIR_ID), chat));
+  });
+
+  it("accepts participants in either order on update", async () => {
+    await seedMatch();
+    // Older chats were saved [myUid, otherUid], not sorted
+    await seedChat({ participants: [BOB, ALICE] });
+
+    await assertSucceeds(
+      setDoc(
+        doc(dbFor(ALICE), "chats", PAIR_ID),
+        { participants: [ALICE, BOB] },
+        { merge: true }
+      )
+    );
+    await assertFails(
+      updateDoc(doc(dbFor(ALICE), "chats", PAIR_ID), {
+        participants: [ALICE, CAROL],
+      })
+    );
+  });
+
+  it("doesn't let participants archive or unarchive", async () => {
+    await seedMatch();
+    await seedChat();
+    await assertFails(
+      updateDoc(doc(dbFor(ALICE), "chats", PAIR_ID), { archived: true })
+    );
+  });
+
+  it("is hidden once the match is gone", async () => {
+    await seedChat();
+    await assertFails(getDoc(doc(dbFor(ALICE), "chats", PAIR_ID)));
+  });
+});
+
+describe("messages", () => {
+  const message = (fromUid, toUid) => ({
+    text: "Hi!",
+    fromUid,
+    toUid,
+    createdAt: serverTimestamp(),
+  });
+
+  const messageRef = (uid, id = "m1") =>
+    doc(dbFor(uid), "chats", PAIR_ID, "messages", id);
+
+  it("can be sent and read by matched participants only", async () => {
+    await seedMatch();
+    await seedChat();
+
+    await assertSucceeds(setDoc(messageRef(ALICE), message(ALICE, BOB)));
+    await assertSucceeds(getDoc(messageRef(BOB)));
+    await assertFails(getDoc(messageRef(CAROL)));
+    await assertFails(setDoc(messageRef(CAROL, "m2"), message(CAROL, BOB)));
+    // Can't send as someone else
+    await assertFails(setDoc(messageRef(ALICE, "m3"), message(BOB, ALICE)));
+  });
+
+  it("can carry an attachment path in my own chat folder only", async () => {
+    await seedMatch();
+    await seedChat();
+    const withAttachment = (attachment) => ({
+      ...message(ALICE, BOB),
+      text: "",
+      attachment,
+    });
+
+    await assertSucceeds(
+      setDoc(
+        messageRef(ALICE),
+        withAttachment({
+          kind: "pdf",
+          path: `chats/${PAIR_ID}/${ALICE}/plan.pdf`,
+          name: "plan.pdf",
+          size: 1000,
+        })
+      )
+    );
+    // Bob's folder
+    await assertFails(
+      setDoc(
+        messageRef(ALICE, "m2"),
+        withAttachment({ kind: "pdf", path: `chats/${PAIR_ID}/${BOB}/x.pdf` })
+      )
+    );
+    // Download URLs would skip the Storage rules
+    await assertFails(
+      setDoc(
+        messageRef(ALICE, "m3"),
+        withAttachment({ kind: "image", url: "https://example.com/x.jpg" })
+      )
+    );
+  });
+
+  it("can't be edited or deleted", async () => {
+    await seedMatch();
+    await seedChat();
+    await assertSucceeds(setDoc(messageRef(ALICE), message(ALICE, BOB)));
+
+    await assertFails(updateDoc(messageRef(ALICE), { text: "Edited" }));
+    await assertFails(deleteDoc(messageRef(ALICE)));
+  });
+
+  it("can't be sent after a block, in either direction", async () => {
+    await seedMatch();
+    await seedChat();
+    await seed(testEnv, (db) =>
+      setDoc(doc(db, "blocks", "bob_alice"), {
+        blockerUid: BOB,
+        blockedUid: ALICE,
+        createdAt: new Date(),
+      })
+    );
+
+    await assertFails(setDoc(messageRef(ALICE), message(ALICE, BOB)));
+    await assertFails(setDoc(messageRef(BOB), message(BOB, ALICE)));
+  });
+
+  it("can't be sent in an archived chat", async () => {
+    await seedMatch();
+    await seedChat({ archived: true });
+    await assertFails(setDoc(messageRef(ALICE), message(ALICE, BOB)));
+  });
+});
+
+describe("blocks", () => {
+  const block = (blockerUid, blockedUid) => ({
+    blockerUid,
+    blockedUid,
+    createdAt: serverTimestamp(),
+  });
+
+  it("can be created only as myself, id {blocker}_{blocked}", async () => {
+    const blockRef = (id) => doc(dbFor(ALICE), "blocks", id);
+
+    await assertSucceeds(setDoc(blockRef("alice_bob"), block(ALICE, BOB)));
+    await assertFails(setDoc(blockRef("bob_alice"), block(BOB, ALICE)));
+    await assertFails(setDoc(blockRef("other-id"), block(ALICE, CAROL)));
+    // Not myself
+    await assertFails(setDoc(blockRef("alice_alice"), block(ALICE, ALICE)));
+  });
+
+  it("needs a server timestamp and no extra fields", async () => {
+    const ref = doc(dbFor(ALICE), "blocks", "alice_bob");
+    await assertFails(
+      setDoc(ref, { blockerUid: ALICE, blockedUid: BOB, createdAt: new Date() })
+    );
+    await assertFails(setDoc(ref, { ...block(ALICE, BOB), reason: "spam" }));
+  });
+
+  it("can be read by both sides but removed only by the blocker", async () => {
+    await seed(testEnv, (db) =>
+      setDoc(doc(db, "blocks", "alice_bob"), {
+        blockerUid: ALICE,
+        blockedUid: BOB,
+        createdAt: new Date(),
+      })
+    );
+
+    await assertSucceeds(getDoc(doc(dbFor(ALICE), "blocks", "alice_bob")));
+    await assertSucceeds(getDoc(doc(dbFor(BOB), "blocks", "alice_bob")));
+    await assertFails(getDoc(doc(dbFor(CAROL), "blocks", "alice_bob")));
+
+    await assertFails(deleteDoc(doc(dbFor(BOB), "blocks", "alice_bob")));
+    await assertSucceeds(deleteDoc(doc(dbFor(ALICE), "blocks", "alice_bob")));
+  });
+});
+
+describe("reports", () => {
+  const report = (data = {}) => ({
+    reporterUid: ALICE,
+    reportedUid: BOB,
+    category: "spam",
+    details: "Keeps sending links",
+    source: "profile",
+    createdAt: serverTimestamp(),
+    ...data,
+  });
+
+  it("can be created only as myself, about someone else", async () => {
+    const reports = collection(dbFor(ALICE), "reports");
+    await assertSucceeds(addDoc(reports, report()));
+    await assertFails(addDoc(reports, report({ reporterUid: CAROL })));
+    await assertFails(addDoc(reports, report({ reportedUid: ALICE })));
+  });
+
+  it("checks the category, source, details and fields", async () => {
+    const reports = collection(dbFor(ALICE), "reports");
+    await assertFails(addDoc(reports, report({ category: "rude" })));
+    await assertFails(addDoc(reports, report({ source: "email" })));
+    await assertFails(addDoc(reports, report({ details: "x".repeat(1001) })));
+    await assertFails(addDoc(reports, report({ createdAt: new Date() })));
+    await assertFails(addDoc(reports, report({ status: "resolved" })));
+  });
+
+  it("can carry a snapshot of the chat", async () => {
+    const reports = collection(dbFor(ALICE), "reports");
+    const message = { id: "m1", text: "Hi", fromUid: BOB, createdAt: null };
+
+    await assertSucceeds(
+      addDoc(
+        reports,
+        report({ source: "chat", chatId: PAIR_ID, messages: [message] })
+      )
+    );
+    // At most 20 messages
+    await assertFails(
+      addDoc(
+        reports,
+        report({
+          source: "chat",
+          chatId: PAIR_ID,
+          messages: Array(21).fill(message),
+        })
+      )
+    );
+  });
+
+  it("can't be read back from the app", async () => {
+    await seed(testEnv, (db) =>
+      setDoc(doc(db, "reports", "r1"), report({ createdAt: new Date() }))
+    );
+    await assertFails(getDoc(doc(dbFor(ALICE), "reports", "r1")));
+    await assertFails(getDoc(doc(dbFor(BOB), "reports", "r1")));
+  });
+});
@@ -0,0 +1,121 @@
+// ----------------------------------------------------------
+// storage.test.js
+//
+// storage.rules against the Storage emulator:
+//   - profile / home photos (owner-only uploads, images only)
+//   - chat attachments (the two chat participants only; the
+//     participants list is read from Firestore chats/{chatId})
+// ----------------------------------------------------------
+
+import { after, before, beforeEach, describe, it } from "node:test";
+import {
+  assertFails,
+  assertSucceeds,
+} from "@firebase/rules-unit-testing";
+import { doc, setDoc } from "firebase/firestore";
+import { getBytes, ref, uploadBytes } from "firebase/storage";
+import { createTestEnv, seed } from "./testEnv.js";
+
+const ALICE = "alice";
+const BOB = "bob";
+const CAROL = "carol";
+const PAIR_ID = "alice_bob";
+
+// A few bytes are enough: the rules only look at type + size
+const BYTES = new Uint8Array([1, 2, 3, 4]);
+const JPEG = { contentType: "image/jpeg" };
+
+let testEnv;
+
+function storageFor(uid) {
+  return uid
+    ? testEnv.authenticatedContext(uid).storage()
+    : testEnv.unauthenticatedContext().storage();
+}
+
+before(async () => {
+  testEnv = await createTestEnv();
+});
+
+beforeEach(async () => {
+  await testEnv.clearFirestore();
+  await testEnv.clearStorage();
+});
+
+after(async () => {
+  await testEnv.cleanup();
+});
+
+describe("profile photos", () => {
+  const photoPath = `users/${ALICE}/photos/profile.jpg`;
+
+  it("can be uploaded only by the owner, images only", async () => {
+    await assertSucceeds(
+      uploadBytes(ref(storageFor(ALICE), photoPath), BYTES, JPEG)
+    );
+    await assertFails(
+      uploadBytes(ref(storageFor(BOB), photoPath), BYTES, JPEG)
+    );
+    await assertFails(
+      uploadBytes(ref(storageFor(ALICE), photoPath), BYTES, {
+        contentType: "application/pdf",
+      })
+    );
+  });
+
+  it("can be viewed by any signed-in student", async () => {
+    await assertSucceeds(
+      uploadBytes(ref(storageFor(ALICE), photoPath), BYTES, JPEG)
+    );
+    await assertSucceeds(getBytes(ref(storageFor(BOB), photoPath)));
+    await assertFails(getBytes(ref(storageFor(null), photoPath)));
+  });
+});
+
+describe("chat attachments", () => {
+  const attachmentPath = `chats/${PAIR_ID}/${ALICE}/plan.pdf`;
+  const PDF = { contentType: "application/pdf" };
+
+  beforeEach(async () => {
+    await seed(testEnv, (db) =>
+      setDoc(doc(db, "chats", PAIR_ID), { participants: [ALICE, BOB] })
+    );
+  });
+
+  it("can be uploaded by a participant into their own folder", async () => {
+    await assertSucceeds(
+      uploadBytes(ref(storageFor(ALICE), attachmentPath), BYTES, PDF)
+    );
+    await assertFails(
+      uploadBytes(ref(storageFor(BOB), attachmentPath), BYTES, PDF)
+    );
+    await assertFails(
+      uploadBytes(
+        ref(storageFor(CAROL), `chats/${PAIR_ID}/${CAROL}/plan.pdf`),
+        BYTES,
+        PDF
+      )
+    );
+  });
+
+  it("can be up to 10 MB, like the app's MAX_PDF_BYTES", async () => {
+    const MAX_BYTES = 10 * 1024 * 1024;
+    const fileRef = (name) =>
+      ref(storageFor(ALICE), `chats/${PAIR_ID}/${ALICE}/${name}`);
+
+    await assertSucceeds(
+      uploadBytes(fileRef("max.pdf"), new Uint8Array(MAX_BYTES), PDF)
+    );
+    await assertFails(
+      uploadBytes(fileRef("too-big.pdf"), new Uint8Array(MAX_BYTES + 1), PDF)
+    );
+  });
+
+  it("can be downloaded only by the two participants", async () => {
+    await assertSucceeds(
+      uploadBytes(ref(storageFor(ALICE), attachmentPath), BYTES, PDF)
+    );
+    await assertSucceeds(getBytes(ref(storageFor(BOB), attachmentPath)));
+    await assertFails(getBytes(ref(storageFor(CAROL), attachmentPath)));
+  });
+});
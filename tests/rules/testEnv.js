@@ -0,0 +1,38 @@
+// ----------------------------------------------------------
+// testEnv.js
+//
+// Shared setup for the security rules tests: starts a test
+// environment against the local Firestore + Storage emulators
+// with the real firestore.rules / storage.rules.
+//
+// Run them with `npm run test:rules` (starts the emulators,
+// runs the tests, stops the emulators).
+// ----------------------------------------------------------
+
+import { readFileSync } from "node:fs";
+import { initializeTestEnvironment } from "@firebase/rules-unit-testing";
+
+// "demo-" projects never talk to real Firebase servers
+export const PROJECT_ID = "demo-roommate-pwa";
+
+export function createTestEnv() {
+  return initializeTestEnvironment({
+    projectId: PROJECT_ID,
+    firestore: {
+      rules: readFileSync(
+        new URL("../../firestore.rules", import.meta.url),
+        "utf8"
+      ),
+    },
+    storage: {
+      rules: readFileSync(new URL("../../storage.rules", import.meta.url), "utf8"),
+    },
+  });
+}
+
+// Write test data without the rules (like a Cloud Function would)
+export async function seed(testEnv, writeFn) {
+  await testEnv.withSecurityRulesDisabled(async (context) => {
+    await writeFn(context.firestore());
+  });
+}
@@ -0,0 +1,26 @@
+// ----------------------------------------------------------
+// loader.js
+//
+// Node module hooks so the unit tests can import src/utils/*
+// the way Vite does:
+//   - "./budget" → "./budget.js" (no file extension)
+//   - "../data/neighborhoods.json" without `with { type: "json" }`
+// Registered by register.js (see the "test" script).
+// ----------------------------------------------------------
+
+export async function resolve(specifier, context, nextResolve) {
+  try {
+    return await nextResolve(specifier, context);
+  } catch (err) {
+    const isRelative = specifier.startsWith(".");
+    if (err.code !== "ERR_MODULE_NOT_FOUND" || !isRelative) throw err;
+    return nextResolve(`${specifier}.js`, context);
+  }
+}
+
+export async function load(url, context, nextLoad) {
+  if (url.endsWith(".json")) {
+    return nextLoad(url, { ...context, importAttributes: { type: "json" } });
+  }
+  return nextLoad(url, context);
+}
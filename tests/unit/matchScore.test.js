@@ -0,0 +1,154 @@
+// ----------------------------------------------------------
+// matchScore.test.js
+//
+// Unit tests for src/utils/matchScore.js (no Firebase needed):
+//   - the score is the same whichever profile is "me"
+//   - dealbreakers drop candidates, in both directions
+//   - missing answers fall back to NEUTRAL_SIMILARITY
+// Run them with `npm test`.
+// ----------------------------------------------------------
+
+import { describe, it } from "node:test";
+import assert from "node:assert/strict";
+import {
+  MATCH_DIMENSIONS,
+  NEUTRAL_SIMILARITY,
+  calculateMatchScore,
+  hasDealbreakerConflict,
+  rankProfilesWithMatchScore,
+} from "../../src/utils/matchScore.js";
+
+const alice = {
+  id: "alice",
+  budgetMin: 8000,
+  budgetMax: 12000,
+  neighborhoods: ["Kızılay", "Kolej"],
+  roommatePreferences: ["tidy", "non-smoker", "quiet"],
+  lifestyle: { sleepSchedule: 1, cleanliness: 4, smoking: 1 },
+  matchImportance: { budget: 3, lifestyle: 1 },
+  campusId: "metu",
+};
+
+const bob = {
+  id: "bob",
+  budgetMin: 10000,
+  budgetMax: 15000,
+  neighborhoods: ["Çankaya"],
+  roommatePreferences: ["Tidy", "social"],
+  lifestyle: { sleepSchedule: 3, cleanliness: 3, guests: 2 },
+  matchImportance: { neighborhoods: 0, commute: 2 },
+  campusId: "bilkent",
+};
+
+describe("calculateMatchScore", () => {
+  it("gives the same score whichever profile is me", () => {
+    const aliceView = calculateMatchScore(alice, bob);
+    const bobView = calculateMatchScore(bob, alice);
+
+    assert.equal(aliceView.total, bobView.total);
+    MATCH_DIMENSIONS.forEach(({ key }) => {
+      assert.equal(aliceView[key].points, bobView[key].points, key);
+      assert.equal(aliceView[key].max, bobView[key].max, key);
+    });
+  });
+
+  it("counts shared preferences both ways (not only my list)", () => {
+    const few = { roommatePreferences: ["tidy"] };
+    const many = { roommatePreferences: ["tidy", "quiet", "social", "cook"] };
+
+    assert.equal(
+      calculateMatchScore(few, many).preferences.points,
+      calculateMatchScore(many, few).preferences.points
+    );
+  });
+
+  it("adds up to a total between 0 and 100", () => {
+    const result = calculateMatchScore(alice, bob);
+    const sum = MATCH_DIMENSIONS.reduce((s, d) => s + result[d.key].points, 0);
+
+    assert.equal(result.total, sum);
+    assert.ok(result.total >= 0 && result.total <= 100);
+  });
+
+  it("gives full points to two identical profiles", () => {
+    assert.equal(calculateMatchScore(alice, { ...alice }).total, 100);
+  });
+});
+
+describe("missing answers", () => {
+  it("scores empty dimensions as neutral and marks them unknown", () => {
+    const result = calculateMatchScore(alice, {});
+
+    ["budget", "neighborhoods", "preferences", "lifestyle"].forEach((key) => {
+      assert.equal(result[key].known, false, key);
+      assert.equal(
+        result[key].points,
+        Math.round(NEUTRAL_SIMILARITY * result[key].max),
+        key
+      );
+    });
+  });
+
+  it("only compares lifestyle questions both people answered", () => {
+    const result = calculateMatchScore(
+      { lifestyle: { cleanliness: 4 } },
+      { lifestyle: { cleanliness: 4, smoking: 3 } }
+    );
+
+    assert.equal(result.lifestyle.known, true);
+    assert.equal(result.lifestyle.points, result.lifestyle.max);
+  });
+
+  it("still scores two empty profiles", () => {
+    const result = calculateMatchScore({}, {});
+    assert.ok(Number.isFinite(result.total));
+  });
+});
+
+describe("dealbreakers", () => {
+  const nonSmoker = {
+    id: "nonSmoker",
+    roommatePreferences: ["non-smoker"],
+    dealbreakers: ["non-smoker"],
+  };
+
+  it("drops someone with the opposite preference, both ways", () => {
+    const smoker = { id: "smoker", roommatePreferences: ["Smoker"] };
+
+    assert.equal(hasDealbreakerConflict(nonSmoker, smoker), true);
+    assert.equal(hasDealbreakerConflict(smoker, nonSmoker), true);
+  });
+
+  it("counts questionnaire answers as preferences", () => {
+    assert.equal(
+      hasDealbreakerConflict(nonSmoker, { lifestyle: { smoking: 3 } }),
+      true
+    );
+    // "Smoke outside only" isn't the opposite of non-smoker
+    assert.equal(
+      hasDealbreakerConflict(nonSmoker, { lifestyle: { smoking: 2 } }),
+      false
+    );
+  });
+
+  it("ignores preferences that aren't dealbreakers", () => {
+    const noDealbreakers = { roommatePreferences: ["non-smoker"] };
+    assert.equal(
+      hasDealbreakerConflict(noDealbreakers, { lifestyle: { smoking: 3 } }),
+      false
+    );
+  });
+
+  it("removes conflicts from the ranked list", () => {
+    const ranked = rankProfilesWithMatchScore(nonSmoker, [
+      { id: "smoker", roommatePreferences: ["smoker"] },
+      { id: "fine", roommatePreferences: ["tidy"] },
+    ]);
+
+    assert.deepEqual(
+      ranked.map((p) => p.id),
+      ["fine"]
+    );
+    assert.equal(typeof ranked[0].matchScore, "number");
+  });
+});
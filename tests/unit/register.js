@@ -0,0 +1,4 @@
+// Loaded with `node --import` before the unit tests (see loader.js)
+import { register } from "node:module";
+
+register("./loader.js", import.meta.url);
@@ -1,7 +1,48 @@
 import { defineConfig } from 'vite'
 import react from '@vitejs/plugin-react'
+import { VitePWA } from 'vite-plugin-pwa'
 
 // https://vite.dev/config/
 export default defineConfig({
-  plugins: [react()],
+  plugins: [
+    react(),
+
+    // Makes the app installable and lets it open without a connection:
+    // - writes manifest.webmanifest from the options below
+    // - generates a service worker that precaches the built app shell
+    // - serves index.html for every page URL (same as Firebase Hosting's rewrite)
+    VitePWA({
+      registerType: 'autoUpdate',
+      includeAssets: ['icons/icon.svg', 'icons/apple-touch-icon.png'],
+      manifest: {
+        name: 'Student Roommate Finder',
+        short_name: 'Roommates',
+        description: 'Safe, student-only housing and roommate matching.',
+        lang: 'en',
+        start_url: '/home',
+        scope: '/',
+        display: 'standalone',
+        orientation: 'portrait',
+        background_color: '#FFF8E1', // Gin Fizz
+        theme_color: '#C8D5B9', // Coriander
+        icons: [
+          { src: '/icons/icon-192.png', sizes: '192x192', type: 'image/png' },
+          { src: '/icons/icon-512.png', sizes: '512x512', type: 'image/png' },
+          {
+            src: '/icons/icon-maskable-512.png',
+            sizes: '512x512',
+            type: 'image/png',
+            purpose: 'maskable',
+          },
+        ],
+      },
+      workbox: {
+        globPatterns: ['**/*.{js,css,html,svg,png,webmanifest}'],
+        navigateFallback: '/index.html',
+        // Firebase reserved URLs (e.g. /__/auth/handler) must hit the network
+        navigateFallbackDenylist: [/^\/__\//],
+        cleanupOutdatedCaches: true,
+      },
+    }),
+  ],
 })